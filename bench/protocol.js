@@ -0,0 +1,197 @@
+'use strict';
+
+//
+// Benchmark of the extmodule line decoder/encoder (lib/Protocol.js) against
+// the previous implementation (string line splitting as done by `carrier`,
+// per-character unescape/escape).
+//
+// Usage:
+//     node bench/protocol.js [number of lines]
+//
+
+const Protocol = require('../lib/Protocol');
+
+const LINES = +process.argv[2] || 200000;
+const CHUNK_SIZE = 65536;
+
+//
+// previous implementation
+//
+const legacy = {
+    escape(str) {
+        const buf = Buffer.from(str.toString(), 'ascii');
+        let result = '';
+        for (let i = 0; i < buf.length; i++) {
+            const c = buf[i];
+            if (c < 32 || c == 58) {
+                result += '%';
+                result += String.fromCharCode(c + 64);
+            } else if (c == 37) {
+                result += '%%';
+            } else {
+                result += String.fromCharCode(c);
+            }
+        }
+        return result;
+    },
+
+    unescape(str) {
+        const buf = Buffer.from(str, 'ascii');
+        let result = '';
+        for (let i = 0; i < buf.length; i++) {
+            let c = buf[i];
+            if (c == 37) {
+                c = buf[++i];
+                result += ((c != 37) ? String.fromCharCode(c - 64) : '%');
+            } else {
+                result += String.fromCharCode(c);
+            }
+        }
+        return result;
+    },
+
+    splitString(s, delim, limit) {
+        const result = [];
+        while (--limit) {
+            const index = s.indexOf(delim);
+            if (index < 0)
+                break;
+            result.push(s.substring(0, index));
+            s = s.substring(index + delim.length);
+        }
+        result.push(s);
+        return result;
+    },
+
+    decode_message(parts) {
+        const msg = {
+            $name: parts[3],
+            $type: parts[0],
+            $id: parts[1],
+            $retvalue: legacy.unescape(parts[4])
+        };
+        if (msg.$type == '%%>message')
+            msg.$time = +parts[2];
+        else
+            msg.$processed = (parts[2] == 'true');
+        for (let i = 5; i < parts.length; i++) {
+            const p = legacy.splitString(parts[i], '=', 2);
+            msg[ legacy.unescape(p[0]) ] = legacy.unescape(p[1]);
+        }
+        delete msg.handlers;
+        return msg;
+    },
+
+    encode_message(msg) {
+        let s = msg.$type+':'+msg.$id;
+        if (typeof msg.$processed != 'undefined')
+            s += ':'+(msg.$processed ? 'true' : 'false');
+        else
+            s += ':'+(msg.$time || Math.floor(Date.now() / 1000));
+        s += ':'+msg.$name+':'+legacy.escape(msg.$retvalue);
+        for (const k in msg) {
+            const v = msg[k];
+            if (k[0] != '$' && v !== undefined && v !== null)
+                s += ':' + (legacy.escape(k) + '=' + legacy.escape(v));
+        }
+        return s;
+    }
+};
+
+//
+// sample traffic: incoming call routing, replies to our requests and watched
+// channel events
+//
+const samples = [
+    '%%>message:0x7f1c2c0012a0.1234:1700000000:call.route::id=sip/17:module=sip:' +
+        'status=incoming:address=10.0.0.5%z5060:billid=1700000000-17:answered=false:' +
+        'direction=incoming:caller=37120000000:called=37160000000:callername=John Doe:' +
+        'antiloop=19:ip_host=10.0.0.5:ip_port=5060:ip_transport=UDP:sip_uri=sip%z37160000000@10.0.0.1:' +
+        'sip_from=<sip%z37120000000@10.0.0.5>;tag=abc:sip_to=<sip%z37160000000@10.0.0.1>:' +
+        'sip_call-id=a84b4c76e66710@10.0.0.5:sip_user-agent=Softphone 1.0:rtp_forward=possible',
+    '%%<message:node<1>_42:true:chan.masquerade::id=dumb/5:message=chan.attach:source=tone/silence',
+    '%%<message:0x7f1c2c0013b0.77:false:chan.hangup::id=sip/12:module=sip:status=cs_hangup:' +
+        'billid=1700000000-12:reason=Busy Here:cause_sip=486:answered=false',
+    '%%<message:0x7f1c2c0013b0.78:false:chan.dtmf::id=sip/17:text=5:duration=100'
+];
+
+function make_input() {
+    const lines = [];
+    for (let i = 0; i < LINES; i++)
+        lines.push(samples[i % samples.length]);
+    const data = Buffer.from(lines.join('\n') + '\n', 'utf8');
+
+    const chunks = [];
+    for (let i = 0; i < data.length; i += CHUNK_SIZE)
+        chunks.push(data.subarray(i, i + CHUNK_SIZE));
+    return chunks;
+}
+
+function decode_legacy(chunks) {
+    let count = 0;
+    let buffer = '';
+    for (const chunk of chunks) {
+        const lines = (buffer + chunk.toString('ascii')).split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            legacy.decode_message(line.split(':'));
+            count++;
+        }
+    }
+    return count;
+}
+
+function decode_new(chunks, lazy) {
+    let count = 0;
+    const decoder = new Protocol.LineDecoder(line => {
+        const fields = Protocol.split_line(line);
+        const msg = Protocol.decode_message_header(fields);
+        if (!lazy || msg.$type == '%%>message' || msg.$name == 'chan.hangup')
+            Protocol.decode_message_params(msg, fields);
+        count++;
+    });
+    for (const chunk of chunks)
+        decoder.write(chunk);
+    return count;
+}
+
+function encode(encode_message) {
+    const msg = {
+        $type: '%%<message',
+        $id: '0x7f1c2c0012a0.1234',
+        $name: 'call.route',
+        $processed: true,
+        $retvalue: 'fork',
+        'fork.stop': 'busy',
+        'callto.1': 'sip/sip:37160000000@gw.example.com:5060',
+        'callto.1.caller': '37120000000',
+        'callto.1.callername': 'John Doe',
+        'callto.1.domain': 'gw.example.com:5060',
+        'callto.1.called': '37160000000',
+        maxcall: 70000,
+        timeout: 7270000,
+        rtp_forward: 'yes'
+    };
+    let bytes = 0;
+    for (let i = 0; i < LINES; i++)
+        bytes += encode_message(msg).length;
+    return bytes;
+}
+
+function run(name, fn) {
+    fn();   // warm up
+    const start = process.hrtime();
+    fn();
+    const [sec, nsec] = process.hrtime(start);
+    const ms = sec * 1000 + nsec / 1e6;
+    console.log('%s %d ms, %d lines/s', name.padEnd(32), Math.round(ms), Math.round(LINES / ms * 1000));
+}
+
+const chunks = make_input();
+console.log('%d lines, %d bytes\n', LINES, chunks.reduce((n, c) => n + c.length, 0));
+
+run('decode (previous)', () => decode_legacy(chunks));
+run('decode (Protocol)', () => decode_new(chunks, false));
+run('decode (Protocol, lazy params)', () => decode_new(chunks, true));
+run('encode (previous)', () => encode(legacy.encode_message));
+run('encode (Protocol)', () => encode(Protocol.encode_message));
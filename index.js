@@ -21,7 +21,28 @@ exports.isIVR = function (channel) {
 //
 exports.makeLineID = require('./lib/Utils').makeLineID;
 
+//
+// create trunk name that is safe to show (no password)
+//
+exports.makeCarrierName = require('./lib/Utils').makeCarrierName;
+
 //
 // Yate external control module
 //
 exports.YateExt = require('./lib/Yate');
+
+//
+// fake Yate engine for testing
+//
+exports.FakeYate = require('./lib/FakeYate');
+
+//
+// extmodule protocol trace recording and replay
+//
+exports.TraceRecorder = require('./lib/Trace').TraceRecorder;
+exports.TraceReplayer = require('./lib/Trace').TraceReplayer;
+
+//
+// conference room (Yate conference module)
+//
+exports.Conference = YateChannel.Conference;
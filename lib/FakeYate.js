@@ -0,0 +1,523 @@
+'use strict';
+
+//
+// In-process fake Yate engine for testing code built on YateExt. Listens on a
+// local TCP port and speaks the extmodule protocol: install, watch and
+// setlocal commands are acknowledged, messages dispatched by the client are
+// recorded and answered, and the scripting methods below inject messages as
+// Yate would (incoming calls, forks, answers, hangups, DTMF, auth, register).
+//
+// Only one client connection is served at a time.
+//
+
+const net = require('net');
+const util = require('util');
+const { EventEmitter } = require('events');
+const Codes = require('./Codes');
+const Protocol = require('./Protocol');
+const assert = console.assert;
+
+module.exports = (function () {
+    //
+    // Fake Yate server (inherits from EventEmitter). Events:
+    //      client      client connected
+    //      install     client installed message handler
+    //      watch       client watches message
+    //      message     message dispatched by client
+    //      line        line received from client
+    //
+    // Config:
+    // {
+    //     locals:  (optional) initial setlocal values
+    // }
+    //
+    function FakeYate(cfg) {
+        assert(this instanceof FakeYate, 'please use the `new` operator');
+        cfg = cfg || {};
+
+        // init base
+        EventEmitter.call(this);
+
+        // values returned for `setlocal` queries
+        this.locals = Object.assign({
+            'engine.version': '6.4.0',
+            'engine.release': '1',
+            'engine.nodename': 'fake',
+            'engine.runid': String(Date.now())
+        }, cfg.locals);
+
+        // client state
+        this.installed = {};    // message name -> { priority, filter }
+        this.watched = {};      // message name -> true
+        this.messages = [];     // messages dispatched by client
+        this.channels = {};     // live channel id -> true
+        this.peers = {};        // connected channel id -> peer channel id
+
+        // custom replies to client messages: name -> function (msg) returning
+        // { processed, retvalue, params } (see respond())
+        this.responders = {};
+
+        // internal variables
+        this._socket = null;
+        this._pending = {};     // our message id -> resolve function
+        this._forks = {};       // fork origid -> fork master id
+        this._next_id = 0;
+        this._next_chan = 0;
+        this._next_fork = 0;
+        this._server = net.createServer(socket => this._accept(socket));
+    }
+    util.inherits(FakeYate, EventEmitter);
+
+    //
+    // Start listening, resolves with port number (random port if not given).
+    // If <port> is a string, then it is the path of a Unix domain socket to
+    // listen on, and the promise resolves with the path.
+    //
+    FakeYate.prototype.listen = function (port, host) {
+        return new Promise((resolve, reject) => {
+            const on_listening = () => {
+                this._server.removeListener('error', reject);
+                this.port = this._server.address().port;
+                resolve(this.port || port);
+            };
+            this._server.once('error', reject);
+            if (typeof port == 'string')
+                this._server.listen(port, on_listening);
+            else
+                this._server.listen(port || 0, host || '127.0.0.1', on_listening);
+        });
+    }
+
+    //
+    // disconnect client and stop listening
+    //
+    FakeYate.prototype.close = function () {
+        this.disconnect();
+        return new Promise(resolve => this._server.close(() => resolve()));
+    }
+
+    //
+    // drop client connection (simulates Yate going away)
+    //
+    FakeYate.prototype.disconnect = function () {
+        if (this._socket) {
+            this._socket.destroy();
+            this._socket = null;
+        }
+        this.installed = {};
+        this.watched = {};
+    }
+
+    //
+    // Set reply for messages with name <name> dispatched by client. The
+    // function gets the decoded message and returns
+    //     { processed, retvalue, params }
+    //
+    FakeYate.prototype.respond = function (name, fn) {
+        assert(name, 'invalid message name');
+        assert(typeof fn == 'function', 'invalid responder');
+        this.responders[name] = fn;
+    }
+
+    //
+    // resolve with the next message dispatched by client with name <name>
+    // (and for which <predicate> returns true, if given)
+    //
+    FakeYate.prototype.waitFor = function (name, predicate) {
+        return new Promise(resolve => {
+            const on_message = msg => {
+                if (msg.$name != name || (predicate && !predicate(msg)))
+                    return;
+                this.removeListener('message', on_message);
+                resolve(msg);
+            };
+            this.on('message', on_message);
+        });
+    }
+
+    //
+    // create new channel id, e.g., 'sip/1'
+    //
+    FakeYate.prototype.makeChannel = function (module) {
+        const id = `${module || 'sip'}/${++this._next_chan}`;
+        this.channels[id] = true;
+        return id;
+    }
+
+    //
+    // Simulate an incoming call: sends `call.route` for a new channel. Returns
+    //     { id, reply }
+    // where <reply> is a promise that resolves with the client's reply.
+    //
+    FakeYate.prototype.incomingCall = function (params) {
+        params = params || {};
+        const id = params.id || this.makeChannel('sip');
+        this.channels[id] = true;
+
+        const reply = this.route(Object.assign({
+            module: 'sip',
+            status: 'incoming',
+            caller: '',
+            billid: `${Date.now()}-${this._next_chan}`,
+            address: '127.0.0.1:5060',
+            rtp_forward: 'possible'
+        }, params, { id }));
+        return { id, reply };
+    }
+
+    //
+    // send `call.route`, resolves with reply
+    //
+    FakeYate.prototype.route = function (params) {
+        return this.sendMessage('call.route', params);
+    }
+
+    //
+    // send `user.auth`, resolves with reply
+    //
+    FakeYate.prototype.userAuth = function (params) {
+        return this.sendMessage('user.auth', params);
+    }
+
+    //
+    // send `user.register`, resolves with reply
+    //
+    FakeYate.prototype.userRegister = function (params) {
+        return this.sendMessage('user.register', Object.assign({ expires: 600 }, params));
+    }
+
+    //
+    // Simulate a callfork slave being executed for channel <origid> (which was
+    // routed to `fork`). Sends the `call.execute` for slave `fork/N/<index>`
+    // and returns the id of the new outgoing channel. Params may contain
+    // `error` to simulate a failed slave (no channel is created then).
+    //
+    FakeYate.prototype.fork = function (origid, index, params) {
+        params = params || {};
+        assert(origid, 'invalid fork origid');
+        assert(index > 0, 'invalid fork index');
+
+        if (!this._forks[origid])
+            this._forks[origid] = `fork/${++this._next_fork}`;
+
+        const peerid = params.error ? undefined : (params.peerid || this.makeChannel('sip'));
+        this.sendWatched('call.execute', Object.assign({
+            id: `${this._forks[origid]}/${index}`,
+            'fork.origid': origid,
+            peerid
+        }, params));
+        return peerid;
+    }
+
+    //
+    // send `chan.connected` (<id> connected to <peerid>)
+    //
+    FakeYate.prototype.connected = function (id, peerid, params) {
+        this.peers[id] = peerid;
+        this.peers[peerid] = id;
+        this.sendWatched('chan.connected', Object.assign({ id, peerid }, params));
+    }
+
+    //
+    // Send `chan.hangup` for channel <id>. The cause is a SIP code (e.g., 486)
+    // or reason text. A connected peer channel hangs up too.
+    //
+    FakeYate.prototype.hangup = function (id, cause, params) {
+        const cause_params = {};
+        if (typeof cause == 'number') {
+            cause_params.cause_sip = cause;
+            cause_params.reason = Codes.sipCodeToSipResponse[cause];
+        } else if (cause) {
+            cause_params.reason = cause;
+        }
+
+        delete this.channels[id];
+        this.sendWatched('chan.hangup', Object.assign({ id }, cause_params, params));
+
+        const peerid = this.peers[id];
+        delete this.peers[id];
+        if (peerid && this.peers[peerid] == id) {
+            delete this.peers[peerid];
+            if (this.channels[peerid])
+                setImmediate(() => this.hangup(peerid, cause));
+        }
+    }
+
+    //
+    // send `call.ringing` for outgoing channel <id> (180, or 183 with early
+    // media if `earlymedia` param is true)
+    //
+    FakeYate.prototype.ringing = function (id, params) {
+        this.sendWatched('call.ringing', Object.assign({ id }, params));
+    }
+
+    //
+    // send `call.progress` for outgoing channel <id> (183 Session Progress)
+    //
+    FakeYate.prototype.progress = function (id, params) {
+        this.sendWatched('call.progress', Object.assign({ id }, params));
+    }
+
+    //
+    // send `chan.dtmf`
+    //
+    FakeYate.prototype.dtmf = function (id, text, params) {
+        this.sendWatched('chan.dtmf', Object.assign({ id, text }, params));
+    }
+
+    //
+    // send `chan.notify` (e.g., end of played wave file)
+    //
+    FakeYate.prototype.notify = function (targetid, params) {
+        this.sendWatched('chan.notify', Object.assign({ targetid }, params));
+    }
+
+    //
+    // Send message to the client's installed handler. Resolves with the reply
+    // (or with processed=false if the client did not install a handler).
+    //
+    FakeYate.prototype.sendMessage = function (name, params) {
+        const msg = Object.assign({
+            $type: '%%>message',
+            $id: `fake.${++this._next_id}`,
+            $name: name,
+            $retvalue: ''
+        }, params);
+
+        if (!this._socket || !this.installed[name]) {
+            return Promise.resolve(Object.assign({}, msg, {
+                $type: '%%<message',
+                $processed: false
+            }));
+        }
+
+        return new Promise(resolve => {
+            this._pending[msg.$id] = resolve;
+            this._send(Protocol.encode_message(msg));
+        });
+    }
+
+    //
+    // send message notification to client if it watches the message
+    //
+    FakeYate.prototype.sendWatched = function (name, params, processed) {
+        if (!this.watched[name])
+            return;
+
+        this._send(Protocol.encode_message(Object.assign({
+            $type: '%%<message',
+            $id: '',
+            $name: name,
+            $retvalue: '',
+            $processed: !!processed
+        }, params)));
+    }
+
+    //
+    // accept client connection (replaces previous client)
+    //
+    FakeYate.prototype._accept = function (socket) {
+        this.disconnect();
+        this._socket = socket;
+
+        const decoder = new Protocol.LineDecoder(line => {
+            try {
+                this._process_line(line);
+            } catch (err) {
+                this.emit('error', err);
+            }
+        });
+        socket.on('data', chunk => decoder.write(chunk));
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            if (this._socket == socket)
+                this.disconnect();
+        });
+
+        this.emit('client', socket);
+    }
+
+    //
+    // send line to client
+    //
+    FakeYate.prototype._send = function (line) {
+        if (!this._socket)
+            return;
+        if (typeof line == 'string')
+            this._socket.write(line + '\n', 'utf8');
+        else
+            this._socket.write(Buffer.concat([line, Buffer.from('\n')]));
+    }
+
+    //
+    // process line received from client (Buffer, or string)
+    //
+    FakeYate.prototype._process_line = function (line) {
+        this.emit('line', line.toString('utf8'));
+
+        const parts = Protocol.split_line(line);
+        const type = parts[0];
+        if (type == '%%>message') {
+            this._handle_message(Protocol.decode_message(parts));
+        } else if (type == '%%<message') {
+            const msg = Protocol.decode_message(parts);
+            const resolve = this._pending[msg.$id];
+            if (resolve) {
+                delete this._pending[msg.$id];
+                resolve(msg);
+            }
+        } else if (type == '%%>install') {
+            const cmd = Protocol.decode_install(parts);
+            this.installed[cmd.name] = { priority: cmd.priority, filter: cmd.filter };
+            this._send(Protocol.encode_install({
+                type: '%%<install',
+                priority: cmd.priority,
+                name: cmd.name,
+                success: true
+            }));
+            this.emit('install', cmd);
+        } else if (type == '%%>uninstall') {
+            const entry = this.installed[parts[1]];
+            delete this.installed[parts[1]];
+            this._send(`%%<uninstall:${entry ? entry.priority : 100}:${parts[1]}:${!!entry}`);
+        } else if (type == '%%>watch') {
+            const cmd = Protocol.decode_watch(parts);
+            this.watched[cmd.name] = true;
+            this._send(Protocol.encode_watch({
+                type: '%%<watch',
+                name: cmd.name,
+                success: true
+            }));
+            this.emit('watch', cmd);
+        } else if (type == '%%>unwatch') {
+            const success = !!this.watched[parts[1]];
+            delete this.watched[parts[1]];
+            this._send(`%%<unwatch:${parts[1]}:${success}`);
+        } else if (type == '%%>setlocal') {
+            const cmd = Protocol.decode_setlocal(parts);
+            if (cmd.value !== '')
+                this.locals[cmd.name] = cmd.value;
+            const value = this.locals[cmd.name];
+            this._send(Protocol.encode_setlocal({
+                type: '%%<setlocal',
+                name: cmd.name,
+                value: (value !== undefined) ? value : '',
+                success: value !== undefined
+            }));
+        } else if (type == '%%>connect') {
+            // nothing
+        } else {
+            throw new Error(`unrecognized command "${type}"`);
+        }
+    }
+
+    //
+    // record message dispatched by client and reply to it
+    //
+    FakeYate.prototype._handle_message = function (msg) {
+        this.messages.push(msg);
+
+        const responder = this.responders[msg.$name] ||
+                          default_responders[msg.$name] ||
+                          (() => ({ processed: true }));
+        const result = responder.call(this, msg) || {};
+
+        this._send(Protocol.encode_message(Object.assign({
+            $type: '%%<message',
+            $id: msg.$id,
+            $name: msg.$name,
+            $retvalue: result.retvalue || '',
+            $processed: !!result.processed
+        }, result.params)));
+
+        this.emit('message', msg);
+    }
+
+    //
+    // replies to client messages that mimic Yate
+    //
+    const default_responders = {
+        // outgoing call via dumb channel (YateExt.makeCall()): the new dumb
+        // channel is routed right after the reply
+        'call.execute': function (msg) {
+            if (!msg.callto || msg.callto.indexOf('dumb/') != 0)
+                return { processed: true };
+
+            const id = this.makeChannel('dumb');
+            setImmediate(() => {
+                this.route({
+                    id,
+                    module: 'dumb',
+                    caller: 'dumb/',
+                    callername: msg.callername,
+                    called: msg.target
+                });
+            });
+            return { processed: true, params: { id, peerid: id } };
+        },
+
+        // channel exists?
+        'chan.locate': function (msg) {
+            return { processed: !!this.channels[msg.id] };
+        },
+
+        // DTMF sent toward an existing channel
+        'chan.dtmf': function (msg) {
+            return { processed: !!this.channels[msg.targetid] };
+        },
+
+        // dropped channels hang up
+        'call.drop': function (msg) {
+            const found = !!this.channels[msg.id];
+            if (found)
+                setImmediate(() => this.hangup(msg.id, msg.reason));
+            return { processed: found };
+        },
+
+        // connect two channels, disconnecting them from their current peers
+        'chan.connect': function (msg) {
+            const { id, targetid } = msg;
+            const found = !!(this.channels[id] && this.channels[targetid]);
+            if (found) {
+                for (const chan of [id, targetid]) {
+                    const peerid = this.peers[chan];
+                    if (peerid && this.peers[peerid] == chan)
+                        delete this.peers[peerid];
+                }
+                this.peers[id] = targetid;
+                this.peers[targetid] = id;
+            }
+            return { processed: found };
+        },
+
+        // Call executed on an existing channel (transfer, hold, conference)
+        // disconnects it from its current peer. A `dumb/` or `conf/` target
+        // creates a new dumb channel or conference leg connected to it.
+        'chan.masquerade': function (msg) {
+            const found = !!this.channels[msg.id];
+            if (!found || msg.message != 'call.execute')
+                return { processed: found };
+
+            const peerid = this.peers[msg.id];
+            delete this.peers[msg.id];
+            if (peerid && this.peers[peerid] == msg.id)
+                delete this.peers[peerid];
+
+            const module = msg.callto && msg.callto.split('/')[0];
+            if (module != 'dumb' && module != 'conf')
+                return { processed: true };
+
+            const newid = this.makeChannel(module);
+            this.peers[msg.id] = newid;
+            this.peers[newid] = msg.id;
+            return { processed: true, params: { peerid: newid } };
+        },
+
+        // control of live channels (e.g., conference legs)
+        'chan.control': function (msg) {
+            return { processed: !!this.channels[msg.targetid] };
+        }
+    };
+
+    return FakeYate;
+})();
@@ -0,0 +1,504 @@
+'use strict';
+
+//
+// ExtModule protocol codec: line framing, escaping and encoding/decoding of
+// commands. Received data is split into lines as Buffers without copying, and
+// message parameters are only decoded when needed.
+//
+// Yate message format:
+//     http://yate.null.ro/docs/extmodule.html
+//
+
+const { isUtf8 } = require('buffer');
+const assert = console.assert;
+
+//
+// ExtModule protocol escape
+//
+// Values are strings (sent as UTF-8) or Buffers (sent byte for byte). Only
+// ASCII characters are ever escaped and UTF-8 multibyte sequences never
+// contain ASCII bytes, so escaping a string by characters gives the same
+// result as escaping its UTF-8 bytes. Buffers are escaped into a new Buffer.
+//
+function escape(value) {
+    if (Buffer.isBuffer(value))
+        return escape_bytes(value);
+
+    const str = value.toString();
+    let result = '';
+    let start = 0;
+    for (let i = 0; i < str.length; i++) {
+        const c = str.charCodeAt(i);
+        if (c < 32 || c == 58 /* : */ || c == 37 /* % */) {
+            result += str.substring(start, i);
+            result += (c == 37) ? '%%' : '%' + String.fromCharCode(c + 64);
+            start = i + 1;
+        }
+    }
+    return start ? result + str.substring(start) : str;
+}
+
+function must_escape(c) {
+    return c < 32 || c == 58 /* : */ || c == 37 /* % */;
+}
+
+function escape_bytes(buf) {
+    let count = 0;
+    for (let i = 0; i < buf.length; i++) {
+        if (must_escape(buf[i]))
+            count++;
+    }
+    if (count == 0)
+        return buf;
+
+    const result = Buffer.allocUnsafe(buf.length + count);
+    let n = 0;
+    for (let i = 0; i < buf.length; i++) {
+        const c = buf[i];
+        if (must_escape(c)) {
+            result[n++] = 37;
+            result[n++] = (c == 37) ? 37 : c + 64;
+        } else {
+            result[n++] = c;
+        }
+    }
+    return result;
+}
+
+//
+// ExtModule protocol unescape
+//
+// Strings are unescaped by characters. Buffers (received fields) are
+// unescaped byte for byte and the result is decoded as UTF-8 if it is valid
+// UTF-8, otherwise returned as a Buffer. <encoding> forces the result type:
+// 'buffer' for a Buffer, or a string encoding (e.g. 'utf8') for a string.
+//
+function unescape(value, encoding) {
+    if (typeof value == 'string')
+        return unescape_str(value);
+
+    const bytes = unescape_bytes(value);
+    if (encoding == 'buffer')
+        return Buffer.from(bytes);
+    if (encoding || is_utf8(bytes))
+        return bytes.toString(encoding || 'utf8');
+
+    // copy, the bytes may be a view into a received chunk
+    return Buffer.from(bytes);
+}
+
+function unescape_str(str) {
+    const first = str.indexOf('%');
+    if (first < 0)
+        return str;
+
+    let result = str.substring(0, first);
+    let start = first;
+    for (let i = first; i < str.length; i++) {
+        if (str.charCodeAt(i) != 37)  /* % */
+            continue;
+
+        result += str.substring(start, i);
+        const c = str.charCodeAt(++i);
+        result += (c != 37) ? String.fromCharCode(c - 64) : '%';
+        start = i + 1;
+    }
+    return result + str.substring(start);
+}
+
+function unescape_bytes(buf) {
+    const first = buf.indexOf(37);  /* % */
+    if (first < 0)
+        return buf;
+
+    // unescaped value is never longer
+    const result = Buffer.allocUnsafe(buf.length);
+    let n = buf.copy(result, 0, 0, first);
+    for (let i = first; i < buf.length; i++) {
+        const c = buf[i];
+        if (c != 37) {
+            result[n++] = c;
+        } else {
+            const e = buf[++i];
+            result[n++] = (e != 37) ? e - 64 : 37;
+        }
+    }
+    return result.subarray(0, n);
+}
+
+//
+// true if Buffer holds valid UTF-8 (buffer.isUtf8() is missing before Node 18)
+//
+const is_utf8 = isUtf8 || function (buf) {
+    return Buffer.from(buf.toString('utf8'), 'utf8').equals(buf);
+};
+
+//
+// Split received line into fields at ':'. A string line is simply split. For
+// a Buffer line (as received) only the header is split: the first four fields
+// (type, id, time/processed, name) are converted to strings, the fifth
+// (retvalue) is kept as a Buffer and the rest of the line (parameters) is left
+// as one Buffer, split and decoded by decode_message_params() only if needed.
+//
+function split_line(line) {
+    if (typeof line == 'string')
+        return line.split(':');
+
+    const fields = [];
+    let start = 0;
+    for (let n = 0; n < 5; n++) {
+        const index = line.indexOf(58, start);  /* : */
+        const end = (index < 0) ? line.length : index;
+        fields.push((n < 4) ? line.toString('utf8', start, end) : line.subarray(start, end));
+        if (index < 0)
+            return fields;
+        start = index + 1;
+    }
+    fields.push(line.subarray(start));
+    return fields;
+}
+
+//
+// split Buffer at ':' into Buffer fields (views, nothing is copied)
+//
+function split_bytes(buf) {
+    const fields = [];
+    let start = 0;
+    let index;
+    while ((index = buf.indexOf(58, start)) >= 0) {  /* : */
+        fields.push(buf.subarray(start, index));
+        start = index + 1;
+    }
+    fields.push(buf.subarray(start));
+    return fields;
+}
+
+//
+// field as string (for fields that are never escaped: types, ids, names,
+// flags and numbers)
+//
+function text(field) {
+    return (typeof field == 'string') ? field : field.toString('utf8');
+}
+
+//
+// create unique message command id
+//
+const makeId = (function () {
+    let next = 0;
+    const prefix = process.title+'<'+process.pid+'>_';
+    return function () {
+        return prefix+(next++);
+    }
+})();
+
+//
+// Decode message command header (fields from split_line()). Parameters are
+// decoded separately by decode_message_params(), so they can be skipped for
+// messages nobody is interested in.
+//
+function decode_message_header(fields) {
+    // extract standard message parameters (prefix with '$')
+    const msg = {
+        $name: text(fields[3]),
+        $type: text(fields[0]),
+        $id: text(fields[1]),
+        $retvalue: fields[4] ? unescape(fields[4]) : ''
+    };
+
+    // set $time for incoming messages or $processed for outgoing
+    if (msg.$type == '%%>message')
+        msg.$time = +text(fields[2]);
+    else
+        msg.$processed = (text(fields[2]) == 'true');
+
+    return msg;
+}
+
+//
+// decode message command parameters into <msg> (stored without any prefix)
+//
+function decode_message_params(msg, fields) {
+    // Parameters of a Buffer line are still in one piece (see split_line()).
+    // Unless they contain invalid UTF-8, they are decoded as one string.
+    let first = 5;
+    if (fields.length == 6 && Buffer.isBuffer(fields[5])) {
+        const params = fields[5];
+        fields = is_utf8(params) ? params.toString('utf8').split(':') : split_bytes(params);
+        first = 0;
+    }
+
+    for (let i = first; i < fields.length; i++) {
+        // keys are always strings, values may be Buffers (see unescape())
+        const field = fields[i];
+        const eq = field.indexOf('=');
+        if (eq < 0)
+            msg[ unescape(field, 'utf8') ] = '';
+        else
+            msg[ unescape(field.slice(0, eq), 'utf8') ] = unescape(field.slice(eq + 1));
+    }
+
+    // remove 'handlers' key because it's just too much noise
+    delete msg.handlers;
+    return msg;
+}
+
+//
+// decode message command
+//
+function decode_message(fields) {
+    return decode_message_params(decode_message_header(fields), fields);
+}
+
+//
+// decode install command
+//
+function decode_install(parts) {
+    parts = parts.map(text);
+    if (parts[0] == '%%<install') {
+        return {
+            type: '%%<install',
+            priority: +parts[1],
+            name: parts[2],
+            success: (parts[3] == 'true')
+        };
+    }
+    if (parts[0] == '%%>install') {
+        const cmd = {
+            type: '%%>install',
+            priority: +parts[1],
+            name: parts[2]
+        };
+        if (parts[3])
+            cmd.filter = { param: unescape(parts[3]), value: parts[4] && unescape(parts[4]) };
+        return cmd;
+    }
+    throw new Error('invalid install command');
+}
+
+//
+// decode watch command
+//
+function decode_watch(parts) {
+    parts = parts.map(text);
+    if (parts[0] == '%%>watch') {
+        return {
+            type: '%%>watch',
+            name: parts[1]
+        };
+    }
+    if (parts[0] == '%%<watch') {
+        return {
+            type: '%%<watch',
+            name: parts[1],
+            success: (parts[2] == 'true')
+        };
+    }
+    throw new Error('invalid watch command');
+}
+
+//
+// Encode message command in ExtModule protocol format. Returns a string, or a
+// Buffer if any value is a Buffer.
+//
+function encode_message(msg) {
+    // Answer message:
+    //     %%<message:<id>:<processed>:[<name>]:<retvalue>[:<key>=<value>...]
+    // Request message:
+    //     %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
+
+    // add missing attributes (name must be present)
+    assert(msg.$name, 'invalid message name');
+    if (!msg.$type)
+        msg.$type = '%%>message';
+    if (!msg.$id)
+        msg.$id = makeId();
+    if (!msg.$retvalue)
+        msg.$retvalue = '';
+
+    let s = msg.$type+':'+msg.$id;
+
+    // reply messages have the `$processed` boolean attribute set
+    if (typeof msg.$processed != 'undefined') {
+        s += ':'+(msg.$processed ? 'true' : 'false');
+    } else {
+        s += ':'+(msg.$time || Math.floor(Date.now() / 1000));
+    }
+    s += ':'+msg.$name+':';
+
+    // Buffer values are escaped into Buffers, so the line is built from
+    // chunks and returned as a Buffer if there are any
+    let chunks = null;
+    const append_value = v => {
+        const escaped = escape(v);
+        if (typeof escaped == 'string') {
+            s += escaped;
+        } else {
+            chunks = chunks || [];
+            chunks.push(Buffer.from(s, 'utf8'), escaped);
+            s = '';
+        }
+    };
+    append_value(msg.$retvalue);
+
+    // Append extra message parameters. Skip undefined/null values.
+    for (const k in msg) {
+        const v = msg[k];
+        if (k[0] != '$' && v !== undefined && v !== null) {
+            s += ':' + escape(k) + '=';
+            append_value(v);
+        }
+    }
+
+    if (!chunks)
+        return s;
+    chunks.push(Buffer.from(s, 'utf8'));
+    return Buffer.concat(chunks);
+}
+
+//
+// encode install command in ExtModule protocol format
+//
+function encode_install(cmd) {
+    // Install commands:
+    //     %%>install:[<priority>]:<name>[:<filter-name>[:<filter-value>]]
+    //     %%<install:<priority>:<name>:<success>
+    if (cmd.type == '%%>install') {
+        let s = '%%>install:' + (cmd.priority || '') + ':' + cmd.name;
+        if (cmd.filter && cmd.filter.param) {
+            s += ':' + escape(cmd.filter.param);
+            if (cmd.filter.value !== undefined && cmd.filter.value !== null)
+                s += ':' + escape(cmd.filter.value);
+        }
+        return s;
+    }
+    if (cmd.type == '%%<install') {
+        return '%%<install:' + (cmd.priority || 100) + ':' + cmd.name + ':' +
+                               (cmd.success ? 'true': 'false');
+    }
+    throw new Error('invalid install command');
+}
+
+//
+// encode watch command
+//
+function encode_watch(cmd) {
+    // Watch commands:
+    //     %%>watch:<name>
+    //     %%<watch:<name>:<success>
+    assert(cmd.name, 'invalid watch command');
+    if (cmd.type == '%%>watch') {
+        return '%%>watch:' + cmd.name;
+    }
+    if (cmd.type == '%%<watch') {
+        assert(typeof cmd.success == 'boolean', 'invalid watch command');
+        return '%%<watch:' + cmd.name + ':' + (cmd.success ? 'true' : 'false');
+    }
+    throw new Error('invalid watch command');
+}
+
+//
+// decode setlocal command
+//
+function decode_setlocal(parts) {
+    parts = parts.map(text);
+    if (parts[0] == '%%<setlocal') {
+        return {
+            type: '%%<setlocal',
+            name: unescape(parts[1]),
+            value: unescape(parts[2] || ''),
+            success: (parts[3] == 'true')
+        };
+    }
+    if (parts[0] == '%%>setlocal') {
+        return {
+            type: '%%>setlocal',
+            name: unescape(parts[1]),
+            value: unescape(parts[2] || '')
+        };
+    }
+    throw new Error('invalid setlocal command');
+}
+
+//
+// encode setlocal command
+//
+function encode_setlocal(cmd) {
+    // Setlocal commands (empty value queries the current value):
+    //     %%>setlocal:<name>:<value>
+    //     %%<setlocal:<name>:<value>:<success>
+    assert(cmd.name, 'invalid setlocal command');
+    if (cmd.type == '%%>setlocal') {
+        return '%%>setlocal:' + escape(cmd.name) + ':' + escape(cmd.value);
+    }
+    if (cmd.type == '%%<setlocal') {
+        return '%%<setlocal:' + escape(cmd.name) + ':' + escape(cmd.value) + ':' +
+                                (cmd.success ? 'true' : 'false');
+    }
+    throw new Error('invalid setlocal command');
+}
+
+//
+// Streaming line decoder: feed it with received chunks (Buffers) and it calls
+// <online> with each complete line (Buffer, without the newline). Lines are
+// views into the received chunks unless a line spans multiple chunks.
+//
+const LineDecoder = (function () {
+    function LineDecoder(online) {
+        assert(this instanceof LineDecoder, 'please use the `new` operator');
+        assert(typeof online == 'function', 'invalid line callback');
+
+        this.online = online;
+        this.pending = null;    // incomplete line from previous chunks
+    }
+
+    LineDecoder.prototype.write = function (chunk) {
+        let start = 0;
+        let index;
+        while ((index = chunk.indexOf(10, start)) >= 0) {  /* \n */
+            let line = chunk.subarray(start, index);
+            if (this.pending) {
+                line = Buffer.concat([this.pending, line]);
+                this.pending = null;
+            }
+            start = index + 1;
+            this.online(line);
+        }
+
+        // keep the incomplete tail for the next chunk
+        if (start < chunk.length) {
+            const tail = chunk.subarray(start);
+            this.pending = this.pending ? Buffer.concat([this.pending, tail]) : tail;
+        }
+    }
+
+    //
+    // flush last line if the stream ended without a newline
+    //
+    LineDecoder.prototype.end = function () {
+        const line = this.pending;
+        this.pending = null;
+        if (line && line.length > 0)
+            this.online(line);
+    }
+
+    return LineDecoder;
+})();
+
+module.exports = {
+    escape,
+    unescape,
+    split_line,
+    makeId,
+    decode_message_header,
+    decode_message_params,
+    decode_message,
+    decode_install,
+    decode_watch,
+    decode_setlocal,
+    encode_message,
+    encode_install,
+    encode_watch,
+    encode_setlocal,
+    LineDecoder
+};
@@ -0,0 +1,371 @@
+'use strict';
+
+//
+// Extmodule protocol trace recording and replay.
+//
+// Trace file format (one entry per line, lines never contain raw newlines
+// because of extmodule escaping):
+//     <timestamp ms> <direction> <extmodule line>
+// where direction is `>` for lines sent to Yate and `<` for received lines.
+//
+
+const fs = require('fs');
+const util = require('util');
+const { Duplex } = require('stream');
+const { EventEmitter } = require('events');
+const Protocol = require('./Protocol');
+const assert = console.assert;
+
+// message parameters redacted by default
+const default_redact = ['password', 'response'];
+
+//
+// Replace values of message parameters named in <names> with the result of
+// <fn>(name, value) (escaped values). Non-message lines are returned as is.
+//
+function replace_params(line, names, fn) {
+    if (!names || names.length == 0)
+        return line;
+    if (!is_message(line))
+        return line;
+
+    const fields = line.split(':');
+    let changed = false;
+    for (let i = 5; i < fields.length; i++) {
+        const eq = fields[i].indexOf('=');
+        if (eq < 0)
+            continue;
+        const name = Protocol.unescape(fields[i].substring(0, eq));
+        if (names.indexOf(name) >= 0) {
+            fields[i] = fields[i].substring(0, eq + 1) + fn(name, fields[i].substring(eq + 1));
+            changed = true;
+        }
+    }
+    return changed ? fields.join(':') : line;
+}
+
+//
+// Replace values of message parameters listed in <redact> (array of names)
+// with '***'. If `password` is redacted, so is the return value of `user.auth`
+// replies (the password handed to Yate). Non-message lines are returned as is.
+//
+function redact_line(line, redact) {
+    if (!redact || redact.length == 0)
+        return line;
+
+    if (redact.indexOf('password') >= 0 && line.startsWith('%%<message:')) {
+        const fields = line.split(':');
+        if (fields[3] == 'user.auth' && fields[4]) {
+            fields[4] = '***';
+            line = fields.join(':');
+        }
+    }
+    return replace_params(line, redact, () => '***');
+}
+
+//
+// parse trace file contents into entries: { time, dir, line }
+//
+function parse_trace(text) {
+    const entries = [];
+    for (const row of text.split('\n')) {
+        if (!row)
+            continue;
+        const sp1 = row.indexOf(' ');
+        const sp2 = row.indexOf(' ', sp1 + 1);
+        if (sp1 < 0 || sp2 < 0)
+            throw new Error(`invalid trace entry "${row}"`);
+        entries.push({
+            time: +row.substring(0, sp1),
+            dir: row.substring(sp1 + 1, sp2),
+            line: row.substring(sp2 + 1)
+        });
+    }
+    return entries;
+}
+
+//
+// Message ids created by makeId() differ between runs ("<title><pid>_<n>").
+// Returns the ids found in <line> and the line with ids replaced by a
+// placeholder, so recorded and actual lines can be compared.
+//
+const id_regex = /[^:=]*<\d+>_\d+/g;
+function split_ids(line) {
+    const ids = line.match(id_regex) || [];
+    return { ids, pattern: line.replace(id_regex, '<id>') };
+}
+
+//
+// Remove the time field from request message lines (differs between runs)
+//
+function strip_time(line) {
+    if (!line.startsWith('%%>message:'))
+        return line;
+    const fields = line.split(':');
+    fields[2] = '';
+    return fields.join(':');
+}
+
+//
+// only message lines are recorded in traces for replay; handshake commands
+// are answered by the replay transport itself
+//
+function is_message(line) {
+    return line.startsWith('%%>message:') || line.startsWith('%%<message:');
+}
+
+exports.TraceRecorder = (function () {
+    //
+    // Record lines exchanged by YateExt instance <pbx> to a trace file.
+    // Config:
+    // {
+    //     file:    trace file name (appended to)
+    //     stream:  (optional) writable stream to use instead of file
+    //     redact:  (optional) parameter names to redact, default
+    //              ['password', 'response']; `false` disables redaction
+    // }
+    //
+    function TraceRecorder(pbx, cfg) {
+        assert(this instanceof TraceRecorder, 'please use the `new` operator');
+        assert(pbx, 'missing PBX instance');
+        assert(cfg && (cfg.file || cfg.stream), 'missing trace file');
+
+        this.pbx = pbx;
+        this.redact = (cfg.redact === false) ? [] : (cfg.redact || default_redact);
+        this.stream = cfg.stream || fs.createWriteStream(cfg.file, { flags: 'a' });
+        this._own_stream = !cfg.stream;
+
+        this._on_send = line => this._write('>', line);
+        this._on_recv = line => this._write('<', line);
+        pbx.on('send-line', this._on_send);
+        pbx.on('recv-line', this._on_recv);
+    }
+
+    TraceRecorder.prototype._write = function (dir, line) {
+        this.stream.write(`${Date.now()} ${dir} ${redact_line(line, this.redact)}\n`);
+    }
+
+    //
+    // stop recording, resolves when the trace file is closed
+    //
+    TraceRecorder.prototype.stop = function () {
+        this.pbx.removeListener('send-line', this._on_send);
+        this.pbx.removeListener('recv-line', this._on_recv);
+
+        if (!this._own_stream)
+            return Promise.resolve();
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+
+    return TraceRecorder;
+})();
+
+exports.TraceReplayer = (function () {
+    //
+    // Replay a recorded trace into a YateExt instance and check the lines it
+    // sends against the recorded ones. Create the YateExt instance with the
+    // replayer's transport:
+    //
+    //     const replayer = new TraceReplayer({ file: 'call.trace', speed: 10 });
+    //     const pbx = new YateExt({ transport: replayer.transport });
+    //     ... set up the app's event handlers ...
+    //     const result = await replayer.run(pbx);
+    //
+    // Config:
+    // {
+    //     file:    trace file name
+    //     entries: (optional) parsed entries instead of file
+    //     speed:   (optional) timing factor, e.g., 10 replays 10x faster;
+    //              0 replays without delays (default 1, original timing)
+    //     settle:  (optional) time to wait for sent lines after the last
+    //              received line (ms, default 500)
+    //     redact:  (optional) parameter names redacted in the trace
+    //     values:  (optional) values for redacted parameters of received
+    //              messages, e.g., { password: 'secret' }; without them the
+    //              app gets '***' (so replaying authentication fails)
+    // }
+    //
+    // Emits `mismatch` for each sent line that differs from the recording.
+    //
+    function TraceReplayer(cfg) {
+        assert(this instanceof TraceReplayer, 'please use the `new` operator');
+        assert(cfg && (cfg.file || cfg.entries), 'missing trace');
+
+        EventEmitter.call(this);
+
+        const entries = cfg.entries || parse_trace(fs.readFileSync(cfg.file, 'utf8'));
+        this.entries = entries.filter(entry => is_message(entry.line));
+        this.speed = ('speed' in cfg) ? cfg.speed : 1;
+        this.settle = ('settle' in cfg) ? cfg.settle : 500;
+        this.redact = (cfg.redact === false) ? [] : (cfg.redact || default_redact);
+        this.values = cfg.values || {};
+
+        this._ids = {};         // recorded message id -> actual id
+        this._stream = null;
+
+        // transport for the YateExt instance under test
+        this.transport = {
+            handshake: true,
+            reconnect: false,
+            connect: () => this._connect(),
+            info: () => ({ transport: 'replay' })
+        };
+    }
+    util.inherits(TraceReplayer, EventEmitter);
+
+    //
+    // Feed received lines to <pbx> with recorded timing and compare sent
+    // lines. Call it before <pbx> is connected (or right after connect()),
+    // so lines sent on `connected` are compared too. Resolves with:
+    // {
+    //     sent:        actual message lines sent by pbx
+    //     mismatches:  [{ expected, actual }] (actual/expected may be missing)
+    // }
+    //
+    TraceReplayer.prototype.run = function (pbx) {
+        const expected = this.entries.filter(entry => entry.dir == '>');
+        const received = this.entries.filter(entry => entry.dir == '<');
+        const sent = [];
+        const mismatches = [];
+
+        const on_sent = line => {
+            if (!is_message(line))
+                return;
+
+            const actual = redact_line(line, this.redact);
+            const entry = expected[sent.length];
+            sent.push(actual);
+
+            const mismatch = entry ? this._compare(entry.line, actual) : true;
+            if (mismatch) {
+                const info = { expected: entry && entry.line, actual };
+                mismatches.push(info);
+                this.emit('mismatch', info);
+            }
+        };
+
+        // compare from the start (lines sent by `connected` handlers too)
+        pbx.on('send-line', on_sent);
+
+        const ready = pbx.ready() ? Promise.resolve() :
+                      new Promise(resolve => pbx.once('connected', resolve));
+
+        return ready.then(() => {
+            return this._feed(received);
+        }).then(() => {
+            return new Promise(resolve => setTimeout(resolve, this.settle));
+        }).then(() => {
+            pbx.removeListener('send-line', on_sent);
+
+            // recorded lines that were never sent
+            for (let i = sent.length; i < expected.length; i++) {
+                const info = { expected: expected[i].line, actual: undefined };
+                mismatches.push(info);
+                this.emit('mismatch', info);
+            }
+            return { sent, mismatches };
+        });
+    }
+
+    //
+    // Compare recorded and actual sent line (ignoring message ids and times).
+    // Learns the mapping of recorded to actual ids. Returns true on mismatch.
+    //
+    TraceReplayer.prototype._compare = function (recorded, actual) {
+        const r = split_ids(strip_time(recorded));
+        const a = split_ids(strip_time(actual));
+        if (r.pattern != a.pattern || r.ids.length != a.ids.length)
+            return true;
+
+        for (let i = 0; i < r.ids.length; i++)
+            this._ids[r.ids[i]] = a.ids[i];
+        return false;
+    }
+
+    //
+    // replace recorded ids in received line with the actual ones
+    //
+    TraceReplayer.prototype._map_ids = function (line) {
+        return line.replace(id_regex, id => this._ids[id] || id);
+    }
+
+    //
+    // put supplied values back into redacted parameters of received line
+    //
+    TraceReplayer.prototype._restore = function (line) {
+        const names = Object.keys(this.values).filter(name => this.redact.indexOf(name) >= 0);
+        return replace_params(line, names, (name, value) => {
+            return (value == '***') ? Protocol.escape(this.values[name]) : value;
+        });
+    }
+
+    //
+    // push received lines into the transport stream with recorded timing
+    //
+    TraceReplayer.prototype._feed = function (received) {
+        if (received.length == 0)
+            return Promise.resolve();
+
+        const start = received[0].time;
+        const begin = Date.now();
+        let index = 0;
+
+        return new Promise(resolve => {
+            const next = () => {
+                while (index < received.length) {
+                    const entry = received[index];
+                    const due = (this.speed > 0) ? (entry.time - start) / this.speed : 0;
+                    const wait = begin + due - Date.now();
+                    if (wait > 0) {
+                        setTimeout(next, wait);
+                        return;
+                    }
+
+                    index++;
+                    if (this._stream)
+                        this._stream.push(this._restore(this._map_ids(entry.line)) + '\n');
+
+                    // let the pbx react before the next line
+                    setImmediate(next);
+                    return;
+                }
+                resolve();
+            };
+            next();
+        });
+    }
+
+    //
+    // Create the transport stream. Handshake commands (install, watch,
+    // setlocal) are acknowledged immediately.
+    //
+    TraceReplayer.prototype._connect = function () {
+        const decoder = new Protocol.LineDecoder(line => {
+            const parts = Protocol.split_line(line);
+            const type = parts[0];
+            if (type == '%%>install') {
+                stream.push(`%%<install:${parts[1]}:${parts[2]}:true\n`);
+            } else if (type == '%%>watch') {
+                stream.push(`%%<watch:${parts[1]}:true\n`);
+            } else if (type == '%%>setlocal') {
+                stream.push(`%%<setlocal:${parts[1]}:${parts[2]}:true\n`);
+            }
+        });
+
+        const stream = this._stream = new Duplex({
+            read() {},
+            write(chunk, encoding, callback) {
+                decoder.write(chunk);
+                callback();
+            }
+        });
+
+        process.nextTick(() => stream.emit('connect'));
+        return stream;
+    }
+
+    return TraceReplayer;
+})();
+
+exports.parseTrace = parse_trace;
+exports.redactLine = redact_line;
@@ -0,0 +1,162 @@
+'use strict';
+
+//
+// Transports for the Yate external module connection. Each transport creates
+// a stream (socket-like object) that emits `connect`, `close` and `error`
+// events, delivers Yate lines as `data` (Buffers) and accepts our lines via
+// write(). If the stream has cork() and uncork() (as net sockets and Duplex
+// streams do), lines written during one tick are batched into one write.
+//
+// Transport properties:
+//     handshake  true if `%%>connect` must be sent first (socket clients)
+//     reconnect  true if the connection can be re-established after close
+//
+
+const net = require('net');
+const { Duplex } = require('stream');
+const assert = console.assert;
+
+//
+// TCP socket connection to Yate's extmodule listener
+//
+exports.TCP = (function () {
+    function TCP(cfg) {
+        assert(this instanceof TCP, 'please use the `new` operator');
+        assert(Math.floor(cfg.port) === cfg.port && cfg.port > 0, 'invalid port number');
+
+        this.host = cfg.host || 'localhost';
+        this.port = +cfg.port;
+    }
+
+    TCP.prototype.handshake = true;
+    TCP.prototype.reconnect = true;
+
+    TCP.prototype.connect = function () {
+        return net.connect(this.port, this.host);
+    }
+
+    TCP.prototype.info = function () {
+        return { transport: 'tcp', host: this.host, port: this.port };
+    }
+
+    return TCP;
+})();
+
+//
+// Unix domain socket connection to Yate's extmodule listener
+//
+exports.Unix = (function () {
+    function Unix(cfg) {
+        assert(this instanceof Unix, 'please use the `new` operator');
+        assert(cfg.path, 'missing socket path');
+
+        this.path = cfg.path;
+    }
+
+    Unix.prototype.handshake = true;
+    Unix.prototype.reconnect = true;
+
+    Unix.prototype.connect = function () {
+        return net.connect(this.path);
+    }
+
+    Unix.prototype.info = function () {
+        return { transport: 'unix', path: this.path };
+    }
+
+    return Unix;
+})();
+
+//
+// Standard input/output of a script launched by Yate (extmodule.conf
+// `[scripts]` section). No `%%>connect` is needed and there is no reconnect:
+// Yate closes our stdin when the module is unloaded.
+//
+exports.Stdio = (function () {
+    function Stdio(cfg) {
+        assert(this instanceof Stdio, 'please use the `new` operator');
+        cfg = cfg || {};
+
+        this.input = cfg.input || process.stdin;
+        this.output = cfg.output || process.stdout;
+    }
+
+    Stdio.prototype.handshake = false;
+    Stdio.prototype.reconnect = false;
+
+    Stdio.prototype.connect = function () {
+        const input = this.input;
+        const output = this.output;
+
+        const on_data = data => {
+            if (!stream.push(data))
+                input.pause();
+        };
+        const on_end = () => {
+            stream.push(null);
+            stream.destroy();
+        };
+        const on_error = err => {
+            stream.emit('error', err);
+        };
+
+        const stream = new Duplex({
+            read() {
+                input.resume();
+            },
+            write(chunk, encoding, callback) {
+                output.write(chunk, callback);
+            },
+            destroy(err, callback) {
+                // stop reading, but leave the process streams open
+                input.removeListener('data', on_data);
+                input.removeListener('end', on_end);
+                input.removeListener('error', on_error);
+                output.removeListener('error', on_error);
+                input.pause();
+                callback(err);
+            }
+        });
+
+        input.on('data', on_data);
+        input.on('end', on_end);
+        input.on('error', on_error);
+        output.on('error', on_error);
+
+        // process streams are already open
+        process.nextTick(() => {
+            if (!stream.destroyed)
+                stream.emit('connect');
+        });
+        return stream;
+    }
+
+    Stdio.prototype.info = function () {
+        return { transport: 'stdio' };
+    }
+
+    return Stdio;
+})();
+
+//
+// create transport from YateExt config:
+//     { transport: 'tcp', host, port }
+//     { transport: 'unix', path }
+//     { transport: 'stdio' }
+// An object implementing the transport interface may be given instead.
+//
+exports.create = function (cfg) {
+    const transport = cfg.transport || 'tcp';
+    if (typeof transport == 'object')
+        return transport;
+
+    switch (transport) {
+    case 'tcp':
+        return new exports.TCP(cfg);
+    case 'unix':
+        return new exports.Unix(cfg);
+    case 'stdio':
+        return new exports.Stdio(cfg);
+    }
+    throw new Error(`unknown transport "${transport}"`);
+}
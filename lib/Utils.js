@@ -17,3 +17,77 @@ exports.makeLineID = function (trunk) {
     return `${username || ''}:${password || ''}:${auth_name || ''}:`+
            `${auth_domain || ''}@${host || ''}:${port || ''}`;
 }
+
+//
+// Name of a trunk that is safe to show (line ids contain the password): the
+// trunk's configured `name`, or `<username>@<host>[:<port>]`
+//
+exports.makeCarrierName = function (trunk) {
+    if (!trunk || typeof trunk != 'object')
+        return undefined;
+    if (trunk.name)
+        return trunk.name;
+
+    const { host, port, username } = trunk;
+    return `${username || ''}@${host || ''}${port ? ':'+port : ''}`;
+}
+
+//
+// Parse Yate module status text (`engine.status` reply, rmanager `status`):
+//     name=sip,type=varchans,format=Status|Address;routed=2,chans=1;sip/1=answered|10.0.0.1:5060
+// One object per line:
+// {
+//     name, type, format, ...:  module info
+//     status:                   status counters (numeric values converted)
+//     details:                  item id -> value (object if format is given)
+// }
+//
+exports.parseStatus = function (text) {
+    const result = [];
+    for (const line of (text || '').split(/\r?\n/)) {
+        if (!line.trim())
+            continue;
+
+        // details may contain ';', so only the first two separators count
+        const sep1 = line.indexOf(';');
+        const sep2 = (sep1 < 0) ? -1 : line.indexOf(';', sep1 + 1);
+        const info = parse_status_list(sep1 < 0 ? line : line.substring(0, sep1));
+        const status = parse_status_list(sep1 < 0 ? '' :
+            line.substring(sep1 + 1, sep2 < 0 ? undefined : sep2));
+        const details = parse_status_list(sep2 < 0 ? '' : line.substring(sep2 + 1));
+
+        for (const key in status) {
+            if (/^-?\d+$/.test(status[key]))
+                status[key] = +status[key];
+        }
+
+        const format = info.format ? info.format.split('|') : null;
+        if (format) {
+            for (const id in details) {
+                const values = details[id].split('|');
+                details[id] = {};
+                format.forEach((field, i) => details[id][field] = values[i]);
+            }
+        }
+
+        result.push(Object.assign(info, { status, details }));
+    }
+    return result;
+}
+
+//
+// parse comma separated `key=value` list into object
+//
+function parse_status_list(text) {
+    const obj = {};
+    for (const item of text.split(',')) {
+        if (!item)
+            continue;
+        const eq = item.indexOf('=');
+        if (eq < 0)
+            obj[item] = '';
+        else
+            obj[item.substring(0, eq)] = item.substring(eq + 1);
+    }
+    return obj;
+}
@@ -8,11 +8,16 @@
 //     http://yate.null.ro/docs/extmodule.html
 //
 
-const net = require('net');
 const util = require('util');
-const carrier = require('carrier');
 const { EventEmitter } = require('events');
-const { extractIP, makeLineID } = require('./Utils');
+const { extractIP, makeLineID, makeCarrierName, parseStatus } = require('./Utils');
+const Transport = require('./Transport');
+const {
+    makeId, split_line, LineDecoder,
+    decode_message_header, decode_message_params,
+    decode_install, decode_watch, decode_setlocal,
+    encode_message, encode_install, encode_watch, encode_setlocal
+} = require('./Protocol');
 const YateChannel = require('./YateChannel');
 const assert = console.assert;
 
@@ -26,6 +31,13 @@ const install_list = {
     'user.register': 10
 };
 
+//
+// Yate hangs up channels that lost their peer unless "chan.disconnected" is
+// handled. It is installed with this priority only while channels are kept
+// alive (see _keep_alive_ref()), so other channels are not affected.
+//
+const keep_alive_priority = 10;
+
 //
 // watched messages
 //
@@ -37,9 +49,14 @@ const watch_list = {
     'chan.connected': true,
     'chan.hangup': true,
     'chan.notify': true,
-    'chan.dtmf': true
+    'chan.dtmf': true,
+    'call.ringing': true,
+    'call.progress': true
 };
 
+// line terminator for Buffer lines
+const newline = Buffer.from('\n');
+
 //
 // copy props from <o2> into <o1> if they're not `undefined`; return <o1>
 //
@@ -51,219 +68,6 @@ function extend_defined(o1, o2) {
     return o1;
 }
 
-//
-// ExtModule protocol escape
-//
-function escape(str) {
-    const buf = new Buffer(str.toString(), 'ascii');
-    let result = '';
-    for (let i = 0; i < buf.length; i++) {
-        const c = buf[i];
-        if (c < 32 || c == 58 /* : */) {
-            result += '%';
-            result += String.fromCharCode(c + 64);
-        } else if (c == 37) { /* % */
-            result += '%%';
-        } else {
-            result += String.fromCharCode(c);
-        }
-    }
-    return result;
-}
-
-//
-// ExtModule protocol unescape
-//
-function unescape(str) {
-    const buf = new Buffer(str, 'ascii');
-    let result = '';
-    for (let i = 0; i < buf.length; i++) {
-        let c = buf[i];
-        if (c == 37) {  /* % */
-            c = buf[++i];
-            result += ((c != 37) ? String.fromCharCode(c - 64) : '%');
-        } else {
-            result += String.fromCharCode(c);
-        }
-    }
-    return result;
-}
-
-//
-// Split string into parts. If limit is given, keeps the tail unlike the built-
-// in String.prototype.split() function.
-//
-function splitString(s, delim, limit) {
-    // use built-in .split() if there's no limit
-    if (!limit)
-        return s.split(delim);
-
-    const result = [];
-    while (--limit) {
-        const index = s.indexOf(delim);
-        if (index < 0)
-            break;
-        result.push(s.substring(0, index));
-        s = s.substring(index + delim.length);
-    }
-    result.push(s);
-    return result;
-}
-
-//
-// create unique message command id
-//
-const makeId = (function () {
-    let next = 0;
-    const prefix = process.title+'<'+process.pid+'>_';
-    return function () {
-        return prefix+(next++);
-    }
-})();
-
-//
-// decode message command
-//
-function decode_message(parts) {
-    // extract standard message parameters (prefix with '$')
-    const msg = {
-        $name: parts[3],
-        $type: parts[0],
-        $id: parts[1],
-        $retvalue: unescape(parts[4])
-    };
-
-    // set $time for incoming messages or $processed for outgoing
-    if (msg.$type == '%%>message')
-        msg.$time = +parts[2];
-    else
-        msg.$processed = (parts[2] == 'true');
-
-    // parse extra message parameters (store without any prefix)
-    for (let i = 5; i < parts.length; i++) {
-        const p = splitString(parts[i], '=', 2);
-        msg[ unescape(p[0]) ] = unescape(p[1]);
-    }
-
-    // remove 'handlers' key because it's just too much noise
-    delete msg.handlers;
-    return msg;
-}
-
-//
-// decode install command
-//
-function decode_install(parts) {
-    if (parts[0] == '%%<install') {
-        return {
-            type: '%%<install',
-            priority: +parts[1],
-            name: parts[2],
-            success: (parts[3] == 'true')
-        };
-    }
-    if (parts[0] == '%%>install') {
-        return {
-            type: '%%>install',
-            priority: +parts[1],
-            name: parts[2]
-        };
-    }
-    throw new Error('invalid install command');
-}
-
-//
-// decode watch command
-//
-function decode_watch(parts) {
-    if (parts[0] == '%%>watch') {
-        return {
-            type: '%%>watch',
-            name: parts[1]
-        };
-    }
-    if (parts[0] == '%%<watch') {
-        return {
-            type: '%%<watch',
-            name: parts[1],
-            success: (parts[2] == 'true')
-        };
-    }
-    throw new Error('invalid watch command');
-}
-
-//
-// encode message command in ExtModule protocol format
-//
-function encode_message(msg) {
-    // Answer message:
-    //     %%<message:<id>:<processed>:[<name>]:<retvalue>[:<key>=<value>...]
-    // Request message:
-    //     %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
-
-    // add missing attributes (name must be present)
-    assert(msg.$name, 'invalid message name');
-    if (!msg.$type)
-        msg.$type = '%%>message';
-    if (!msg.$id)
-        msg.$id = makeId();
-    if (!msg.$retvalue)
-        msg.$retvalue = '';
-
-    let s = msg.$type+':'+msg.$id;
-
-    // reply messages have the `$processed` boolean attribute set
-    if (typeof msg.$processed != 'undefined') {
-        s += ':'+(msg.$processed ? 'true' : 'false');
-    } else {
-        s += ':'+(msg.$time || Math.floor(Date.now() / 1000));
-    }
-    s += ':'+msg.$name+':'+escape(msg.$retvalue);
-
-    // Append extra message parameters. Skip undefined/null values.
-    for (const k in msg) {
-        const v = msg[k];
-        if (k[0] != '$' && v !== undefined && v !== null)
-            s += ':' + (escape(k) + '=' + escape(v));
-    }
-    return s;
-}
-
-//
-// encode install command in ExtModule protocol format
-//
-function encode_install(cmd) {
-    // Install commands:
-    //     %%>install:[<priority>]:<name>[:<filter-name>[:<filter-value>]]
-    //     %%<install:<priority>:<name>:<success>
-    if (cmd.type == '%%>install') {
-        return '%%>install:' + (cmd.priority || '') + ':' + cmd.name;
-    }
-    if (cmd.type == '%%<install') {
-        return '%%<install:' + (cmd.priority || 100) + ':' + cmd.name + ':' +
-                               (cmd.success ? 'true': 'false');
-    }
-    throw new Error('invalid install command');
-}
-
-//
-// encode watch command
-//
-function encode_watch(cmd) {
-    // Watch commands:
-    //     %%>watch:<name>
-    //     %%<watch:<name>:<success>
-    assert(cmd.name, 'invalid watch command');
-    if (cmd.type == '%%>watch') {
-        return '%%>watch:' + cmd.name;
-    }
-    if (cmd.type == '%%<watch') {
-        assert(typeof cmd.success == 'boolean', 'invalid watch command');
-        return '%%<watch:' + cmd.name + ':' + (cmd.success ? 'true' : 'false');
-    }
-    throw new Error('invalid watch command');
-}
-
 // Allow/deny authentication & authorization functions. Note the extra reply
 // params that disable auth message handling by "register" and "regfile" Yate
 // modules.
@@ -291,6 +95,10 @@ module.exports = (function () {
     //      connect
     //      connected
     //      disconnected
+    //      state-change
+    //      heartbeat
+    //      heartbeat-missed
+    //      resync
     //
     //      carrier-online
     //      carrier-offline
@@ -305,8 +113,13 @@ module.exports = (function () {
     //      send-line
     //      recv-line
     //      suppress-line
+    //      queue-line
+    //      queue-overflow
+    //      queue-expire
+    //      queue-discard
     //      install-confirm
     //      watch-confirm
+    //      setlocal-confirm
     //      reply-unhandled
     //
     // All handled Yate extmodule messages are emitted as events too
@@ -318,20 +131,56 @@ module.exports = (function () {
         if (!(this instanceof YateExt))
             return new YateExt(cfg);
 
-        // validate port number
-        assert(Math.floor(cfg.port) === cfg.port && cfg.port > 0, 'invalid port number');
-
         // init base
         EventEmitter.call(this);
 
+        // Connection transport: 'tcp' (default, needs `host` & `port`),
+        // 'unix' (needs `path`) or 'stdio' (script launched by Yate). See
+        // Transport.js.
+        this.transport = Transport.create(cfg);
+
         // copy parameters
         this.host = cfg.host || 'localhost';
         this.port = +cfg.port;
         this.reconnectInterval = ('reconnectInterval' in cfg) ? cfg.reconnectInterval : 5000;
+        this.handshakeTimeout = cfg.handshakeTimeout || 10000;  // default 10 seconds
         this.authenticator = cfg.authenticator;                 // client authenticator function
         this.authenticateTimeout = cfg.authenticateTimeout || 5000;
         this.callTimeout = cfg.callTimeout || 7200000;          // default 2 hours
         this.callSetupTimeout = cfg.callSetupTimeout || 70000;  // default 70 seconds
+        this.requestTimeout = cfg.requestTimeout || 10000;      // default 10 seconds
+
+        // Reconnect backoff. The first reconnect happens after
+        // `reconnectInterval`, then the delay is multiplied by `multiplier` up
+        // to `max`. Jitter (0..1) randomizes each delay by up to that fraction.
+        // Defaults keep reconnecting forever at a fixed interval.
+        const backoff = cfg.backoff || {};
+        this.backoff = {
+            initial: backoff.initial || this.reconnectInterval,
+            max: backoff.max || Infinity,
+            multiplier: backoff.multiplier || 1,
+            jitter: backoff.jitter || 0,
+            maxAttempts: backoff.maxAttempts || Infinity
+        };
+
+        // Liveness heartbeat (disabled if interval is 0). A no-op message is
+        // dispatched every `interval` ms; the connection is dropped after
+        // `maxMissed` consecutive replies fail to arrive in time.
+        const heartbeat = cfg.heartbeat || {};
+        this.heartbeat = {
+            interval: heartbeat.interval || 0,
+            maxMissed: heartbeat.maxMissed || 3,
+            message: heartbeat.message || 'infoswitch.heartbeat'
+        };
+
+        // Outbound message queue used while disconnected (disabled if size is
+        // 0). Queued messages are sent after reconnect unless expired.
+        this.sendQueueSize = cfg.sendQueueSize || 0;
+        this.sendQueueTTL = cfg.sendQueueTTL || 30000;          // default 30 seconds
+
+        // extmodule parameters applied with `setlocal` during connect, e.g.,
+        // { timeout: 10000, reenter: true }
+        this.setlocal = Object.assign({}, cfg.setlocal);
 
         // if `rtpForward` is true-ish, then RTP is forwarded if possible: media
         // goes directly between endpoints to save bandwidth & processing time
@@ -343,24 +192,82 @@ module.exports = (function () {
         // initiated outgoing calls
         this._outgoing_calls = {};
 
+        // dispatched messages waiting for reply: message id -> request
+        this._pending_requests = {};
+
+        // setlocal commands waiting for reply: name -> array of requests
+        this._pending_setlocal = {};
+
+        // user-defined message handlers: name -> { priority, filter, handler }
+        this._handlers = {};
+
+        // middleware functions for incoming messages (see use())
+        this._middleware = [];
+
+        // outbound messages waiting for connection: { line, chan, time }
+        this._send_queue = [];
+        this._send_queue_timer = null;
+
+        // true after reconnect until queued messages are flushed: new
+        // messages are queued behind them to keep the order
+        this._send_queue_held = false;
+
         // internal variables
         this._reconnect_timer = null;    // used for reconnects
+        this._reconnect_attempts = 0;    // failed attempts since last "ready"
+        this._handshake_timer = null;    // install/watch confirmation timeout
+        this._heartbeat_timer = null;    // heartbeat interval
+        this._heartbeat_missed = 0;      // consecutive missed heartbeats
+        this._latency = null;            // last heartbeat round-trip time (ms)
         this._socket = null;             // communication socket
+        this._corked_socket = null;      // socket corked until next tick
         this._init_complete = false;     // true if connection setup is complete
 
+        // connection state, see _set_state()
+        this.state = 'idle';
+
         //
         // Channel name + event to handler function mapping. E.g.:
         //     'dumb/1_onHangup' => handler
         //
         this._chan_handlers = {};
 
+        // live Channel/IVR instances: chan id -> channel
+        this._channels = {};
+
+        // number of channels kept alive, see _keep_alive_ref()
+        this._keep_alive_refs = 0;
+
         // install message handlers
         this._install_message_handlers();
 
+        // After reconnect, find out which channels survived, then send queued
+        // messages (lines for lost channels get discarded). Messages sent in
+        // the meantime wait behind the queued ones.
+        this.on('connected', () => {
+            const socket = this._socket;
+            this._send_queue_held = this._send_queue.length > 0;
+            this._resync_channels().then(({ lost }) => {
+                if (this.ready() && socket == this._socket)
+                    this._flush_send_queue(lost);
+            });
+        });
+
         // re-register with carriers after reconnect
         this.on('connected', () => {
             this.setCarriers(this.carriers);
         });
+
+        // replies will never arrive for requests sent over a lost connection
+        this.on('disconnected', () => {
+            this._stop_heartbeat();
+            this._reject_requests(new Error('disconnected from Yate'));
+        });
+
+        // check connection liveness while connected
+        this.on('connected', () => {
+            this._start_heartbeat();
+        });
     }
     util.inherits(YateExt, EventEmitter);
 
@@ -371,14 +278,21 @@ module.exports = (function () {
         return {
             carriers: this.carriers,
             outgoing_calls: this._outgoing_calls,
-            chan_handlers: this._chan_handlers
+            pending_requests: this._pending_requests,
+            pending_setlocal: this._pending_setlocal,
+            handlers: this._handlers,
+            send_queue: this._send_queue,
+            chan_handlers: this._chan_handlers,
+            channels: this._channels
         };
     }
 
     //
     // Register with carriers. Argument must be an array with elements being
     // objects like this:
-    //     { host, port, username, password, auth_name, auth_domain }
+    //     { host, port, username, password, auth_name, auth_domain, name }
+    // The optional `name` identifies the carrier in channel info and counts
+    // (default `<username>@<host>[:<port>]`).
     //
     YateExt.prototype.setCarriers = function (user_trunks) {
         assert(user_trunks && typeof user_trunks == 'object');
@@ -475,8 +389,9 @@ module.exports = (function () {
     // make sure existing connection is killed and reconnect stopped
     //
     YateExt.prototype._kill_socket = function () {
-        // clear pending reconnect
+        // clear pending reconnect & handshake timeout
         clearTimeout(this._reconnect_timer);
+        clearTimeout(this._handshake_timer);
 
         if (this._socket) {
             // disable reconnect-on-close
@@ -488,9 +403,51 @@ module.exports = (function () {
         }
     }
 
+    //
+    // Connection states:
+    //      idle         not connected, no reconnect scheduled
+    //      connecting   waiting for socket connection
+    //      handshaking  waiting for install/watch/setlocal confirmations
+    //      ready        connected and initialized
+    //      backoff      waiting before reconnect
+    //      destroyed    instance destroyed
+    //
+    // Emits `state-change` with { from, to, time } and extra info.
+    //
+    YateExt.prototype._set_state = function (state, info) {
+        const from = this.state;
+        if (from == state)
+            return;
+
+        this.state = state;
+        this.emit('state-change', Object.assign({ from, to: state, time: Date.now() }, info));
+    }
+
+    //
+    // return connection state (see _set_state())
+    //
+    YateExt.prototype.getState = function () {
+        return this.state;
+    }
+
+    //
+    // Compute delay before next reconnect attempt. Returns -1 if reconnect is
+    // disabled or attempts are exhausted.
+    //
+    YateExt.prototype._reconnect_delay = function () {
+        const { initial, max, multiplier, jitter, maxAttempts } = this.backoff;
+        if (!(initial > 0) || this._reconnect_attempts >= maxAttempts)
+            return -1;
+
+        let delay = initial * Math.pow(multiplier, this._reconnect_attempts);
+        delay = Math.min(delay, max);
+        delay += delay * jitter * (Math.random() * 2 - 1);
+        return Math.max(0, Math.round(delay));
+    }
+
     //
     // Connect to Yate instance using connection parameters from constructor.
-    // Keeps reconnecting if `reconnectInterval` is set.
+    // Keeps reconnecting with backoff if `reconnectInterval` is set.
     //
     YateExt.prototype.connect = function () {
         const connect_fn = () => {
@@ -498,47 +455,84 @@ module.exports = (function () {
             this._kill_socket();
 
             // connect to Yate
-            this.emit('connect', { host: this.host, port: this.port });
-            const socket = this._socket = net.connect(this.port, this.host);
+            this._set_state('connecting');
+            this.emit('connect', this.transport.info());
+            const socket = this._socket = this.transport.connect();
 
             socket.on('connect', () => {
+                this._set_state('handshaking');
+
+                // don't wait forever for a half-open Yate to confirm handlers
+                this._handshake_timer = setTimeout(() => {
+                    this.emit('error', new Error('handshake timeout'));
+                    socket.destroy();
+                }, this.handshakeTimeout);
+
                 // send '%%>connect' as the first command (required for external
                 // socket clients, not for scripts started by Yate itself)
-                this._cmd_send('%%>connect:global', true);
+                if (this.transport.handshake)
+                    this._cmd_send('%%>connect:global', true);
 
                 // Send "uninstall" command before "install" (has been shown to
                 // eliminate some reconnection problems). Same thing for
                 // "unwatch" and "watch" below.
+                const handlers = this._handlers;
                 for (const name in install_list)
                     this._cmd_send(`%%>uninstall:${name}`, true);
+                for (const name in handlers)
+                    this._cmd_send(`%%>uninstall:${name}`, true);
+                const keep_alive = this._keep_alive_refs > 0 &&
+                                   !handlers['chan.disconnected'];
+                if (!handlers['chan.disconnected'])
+                    this._cmd_send('%%>uninstall:chan.disconnected', true);
                 for (const name in watch_list)
                     this._cmd_send(`%%>unwatch:${name}`, true);
                 for (const name in install_list)
                     this.install(name, install_list[name]);
+                for (const name in handlers)
+                    this.install(name, handlers[name].priority, handlers[name].filter);
+                if (keep_alive)
+                    this.install('chan.disconnected', keep_alive_priority);
                 for (const name in watch_list)
                     this.watch(name);
+                for (const name in this.setlocal) {
+                    this._cmd_send(encode_setlocal({
+                        type: '%%>setlocal',
+                        name,
+                        value: this.setlocal[name]
+                    }), true);
+                }
 
-                // Count down number of installs/watches. Emit "connected" event
-                // when all handlers have been installed (init complete).
+                // Count down number of installs/watches/setlocals. Emit
+                // "connected" event when all handlers have been installed and
+                // parameters set (init complete).
                 let total = Object.keys(install_list).length +
-                            Object.keys(watch_list).length;
+                            Object.keys(handlers).length + (keep_alive ? 1 : 0) +
+                            Object.keys(watch_list).length +
+                            Object.keys(this.setlocal).length;
                 const install_or_watch = () => {
                     if (socket != this._socket) {
                         // cleanup after reconnect
                         this.removeListener('install-confirm', install_or_watch);
                         this.removeListener('watch-confirm', install_or_watch);
+                        this.removeListener('setlocal-confirm', install_or_watch);
                     } else if (--total == 0) {
+                        clearTimeout(this._handshake_timer);
+                        this._reconnect_attempts = 0;
                         this._init_complete = true;
-                        this.emit('connected', { host: this.host, port: this.port });
+                        this._set_state('ready');
+                        this.emit('connected', this.transport.info());
                     }
                 }
                 this.on('install-confirm', install_or_watch);
                 this.on('watch-confirm', install_or_watch);
+                this.on('setlocal-confirm', install_or_watch);
 
                 // cleanup after disconnect
                 this.once('disconnected', function () {
                     this.removeListener('install-confirm', install_or_watch);
                     this.removeListener('watch-confirm', install_or_watch);
+                    this.removeListener('setlocal-confirm', install_or_watch);
 
                     // mark all trunks as inactive
                     const carriers = this.carriers;
@@ -549,13 +543,34 @@ module.exports = (function () {
 
             // catch socket close event
             socket.once('close', () => {
-                // emit Yate disconnect event
+                clearTimeout(this._handshake_timer);
+
+                // Try reconnecting after a while (not possible for scripts
+                // started by Yate). The state is updated before `disconnected`
+                // is emitted, so handlers see the new state.
                 this._init_complete = false;
+                const delay = this.transport.reconnect ? this._reconnect_delay() : -1;
+                if (delay < 0) {
+                    this._set_state('idle');
+                } else {
+                    this._reconnect_attempts++;
+                    this._set_state('backoff', { attempt: this._reconnect_attempts, delay });
+                }
+
+                // emit Yate disconnect event
                 this.emit('disconnected');
 
-                // try reconnecting after a while
-                if (this.reconnectInterval > 0)
-                    this._reconnect_timer = setTimeout(connect_fn, this.reconnectInterval);
+                if (delay < 0) {
+                    if (this._reconnect_attempts > 0)
+                        this.emit('error', new Error('reconnect attempts exhausted'));
+                    return;
+                }
+
+                // a `disconnected` handler may have destroyed the instance or
+                // connected again
+                if (this.state != 'backoff')
+                    return;
+                this._reconnect_timer = setTimeout(connect_fn, delay);
             });
 
             // catch errors
@@ -564,9 +579,12 @@ module.exports = (function () {
             });
 
             // read Yate commands as lines from the socket & process them
-            carrier.carry(socket, this._process_line.bind(this), 'ascii', '\n');
+            const decoder = new LineDecoder(this._process_line.bind(this));
+            socket.on('data', chunk => decoder.write(chunk));
+            socket.on('end', () => decoder.end());
         }
 
+        this._reconnect_attempts = 0;
         connect_fn();
     }
 
@@ -580,12 +598,23 @@ module.exports = (function () {
 
         // kill self
         this._init_complete = false;
+        this._set_state('destroyed');
         this.emit('disconnected');
 
+        // drop queued messages
+        clearTimeout(this._send_queue_timer);
+        this._send_queue.splice(0);
+
         // release stored references
         delete this.carriers;
         delete this._outgoing_calls;
+        delete this._pending_requests;
+        delete this._pending_setlocal;
+        delete this._handlers;
+        delete this._send_queue;
         delete this._chan_handlers;
+        delete this._channels;
+        this._keep_alive_refs = 0;
     }
 
     //
@@ -596,6 +625,66 @@ module.exports = (function () {
         return this._socket && this._init_complete;
     }
 
+    //
+    // return last heartbeat round-trip time in milliseconds (null if unknown)
+    //
+    YateExt.prototype.getLatency = function () {
+        return this._latency;
+    }
+
+    //
+    // start sending heartbeat messages (if enabled)
+    //
+    YateExt.prototype._start_heartbeat = function () {
+        this._stop_heartbeat();
+
+        const { interval } = this.heartbeat;
+        if (!(interval > 0))
+            return;
+
+        this._heartbeat_timer = setInterval(() => {
+            this._send_heartbeat();
+        }, interval);
+    }
+
+    //
+    // stop sending heartbeat messages
+    //
+    YateExt.prototype._stop_heartbeat = function () {
+        clearInterval(this._heartbeat_timer);
+        this._heartbeat_timer = null;
+        this._heartbeat_missed = 0;
+    }
+
+    //
+    // Dispatch heartbeat message and wait for its reply. Drops the connection
+    // (which starts reconnecting) after too many missed replies.
+    //
+    YateExt.prototype._send_heartbeat = function () {
+        const { interval, maxMissed, message } = this.heartbeat;
+        const socket = this._socket;
+        const start = Date.now();
+
+        this._request({ $name: message }, { timeout: interval }, true)
+            .then(() => {
+                this._heartbeat_missed = 0;
+                this._latency = Date.now() - start;
+                this.emit('heartbeat', { latency: this._latency, time: start });
+            })
+            .catch(() => {
+                // ignore failures caused by disconnect
+                if (!socket || socket != this._socket || !this.ready())
+                    return;
+
+                const missed = ++this._heartbeat_missed;
+                this.emit('heartbeat-missed', { missed, time: start });
+                if (missed >= maxMissed) {
+                    this.emit('error', new Error(`${missed} heartbeats missed, dropping connection`));
+                    socket.destroy();
+                }
+            });
+    }
+
     //
     // make outgoing call to <destination>:
     // {
@@ -607,7 +696,21 @@ module.exports = (function () {
     //     headers:      (optional) object with SIP headers
     // }
     //
+    // If <callback> is omitted, a promise is returned instead which resolves
+    // with the IVR channel.
+    //
     YateExt.prototype.makeCall = function (destination, callback) {
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.makeCall(destination, function (err, ivr) {
+                    if (err)
+                        reject(err);
+                    else
+                        resolve(ivr);
+                });
+            });
+        }
+
         assert(typeof destination == 'object', 'invalid destination');
         assert(destination.called, 'missing called number');
         assert(destination.routes instanceof Array && destination.routes.length > 0, 'missing routes');
@@ -638,7 +741,7 @@ module.exports = (function () {
 
         // timeout after 5 seconds if `call.route` not received from Yate
         setTimeout(function () {
-            if (this._outgoing_calls[ tmp_id ]) {
+            if (this._outgoing_calls && this._outgoing_calls[ tmp_id ]) {
                 // discard reference
                 delete this._outgoing_calls[ tmp_id ];
 
@@ -696,17 +799,183 @@ module.exports = (function () {
     }
 
     //
-    // send `install` command to Yate
+    // Send `install` command to Yate. Optional filter only installs handler for
+    // messages with matching parameter:
+    //     { param: <name>, value: <value> }
     //
-    YateExt.prototype.install = function (msg_name, priority) {
+    YateExt.prototype.install = function (msg_name, priority, filter) {
         assert(msg_name, 'invalid message name');
         this._cmd_send(encode_install({
             type: '%%>install',
             name: msg_name,
-            priority: (typeof priority != 'undefined') ? priority : 100
+            priority: (typeof priority != 'undefined') ? priority : 100,
+            filter
         }), true);
     }
 
+    //
+    // Install handler for Yate message <msg_name>. Options:
+    // {
+    //     priority: (optional) handler priority (default 100)
+    //     filter:   (optional) { param, value } to only handle messages
+    //               having parameter <param> with value <value>
+    // }
+    //
+    // The handler is called with the decoded message and may return (or
+    // resolve with) one of:
+    //     true/false                          -- processed or not
+    //     { processed, retvalue, params }     -- reply with new values
+    // Returning nothing or throwing replies with processed=false. Handlers are
+    // re-installed after reconnect.
+    //
+    YateExt.prototype.handle = function (msg_name, opt, handler) {
+        if (typeof opt == 'function') {
+            handler = opt;
+            opt = {};
+        }
+        opt = opt || {};
+        assert(msg_name, 'invalid message name');
+        assert(typeof handler == 'function', 'invalid handler');
+        assert(!install_list[msg_name], `"${msg_name}" is handled internally`);
+        assert(!this._handlers[msg_name], `"${msg_name}" is already handled`);
+
+        const entry = this._handlers[msg_name] = {
+            priority: (typeof opt.priority != 'undefined') ? opt.priority : 100,
+            filter: opt.filter,
+            handler
+        };
+
+        // handlers are installed during connect if not connected yet;
+        // replaces the internal keep-alive handler (see _keep_alive_ref())
+        if (this.ready()) {
+            if (msg_name == 'chan.disconnected' && this._keep_alive_refs > 0)
+                this._cmd_send('%%>uninstall:chan.disconnected');
+            this.install(msg_name, entry.priority, entry.filter);
+        }
+    }
+
+    //
+    // remove handler installed with handle()
+    //
+    YateExt.prototype.unhandle = function (msg_name) {
+        assert(msg_name, 'invalid message name');
+        if (!this._handlers[msg_name])
+            return;
+
+        delete this._handlers[msg_name];
+        if (this.ready()) {
+            this._cmd_send(`%%>uninstall:${msg_name}`);
+            if (msg_name == 'chan.disconnected' && this._keep_alive_refs > 0)
+                this.install(msg_name, keep_alive_priority);
+        }
+    }
+
+    //
+    // Count channels kept alive after losing their peer. "chan.disconnected"
+    // is installed when the first channel is kept alive and uninstalled when
+    // the last one is released (unless handled with handle(), which takes
+    // care of kept-alive channels too). Installs are redone on reconnect.
+    //
+    YateExt.prototype._keep_alive_ref = function (delta) {
+        const refs = this._keep_alive_refs;
+        this._keep_alive_refs = Math.max(0, refs + delta);
+        if (!this.ready() || this._handlers['chan.disconnected'])
+            return;
+
+        if (refs == 0 && this._keep_alive_refs > 0)
+            this.install('chan.disconnected', keep_alive_priority);
+        else if (refs > 0 && this._keep_alive_refs == 0)
+            this._cmd_send('%%>uninstall:chan.disconnected');
+    }
+
+    //
+    // Add middleware function that runs for every message Yate sends to our
+    // installed handlers, before the built-in and user-defined handlers:
+    //
+    //     pbx.use(async function (msg, next) {
+    //         ...
+    //         await next();
+    //     });
+    //
+    // Middleware can short-circuit by returning a reply (see handle()) instead
+    // of calling next().
+    //
+    YateExt.prototype.use = function (fn) {
+        assert(typeof fn == 'function', 'invalid middleware');
+        this._middleware.push(fn);
+    }
+
+    //
+    // run middleware chain, then <done> unless some middleware short-circuits
+    //
+    YateExt.prototype._run_middleware = function (msg, done) {
+        const middleware = this._middleware.slice();
+        let reached_done = false;
+        let replied = false;
+        let last_index = -1;
+
+        const dispatch = index => {
+            if (index <= last_index)
+                return Promise.reject(new Error('next() called multiple times'));
+            last_index = index;
+
+            if (index == middleware.length) {
+                reached_done = true;
+                try {
+                    done(msg);
+                } catch (err) {
+                    this.emit('error', err);
+                }
+                return Promise.resolve();
+            }
+            // the innermost middleware that short-circuits gets to reply
+            return new Promise(resolve => {
+                resolve(middleware[index](msg, () => dispatch(index + 1)));
+            }).then(result => {
+                if (!reached_done && !replied) {
+                    replied = true;
+                    this._reply_result(msg, result);
+                }
+            });
+        };
+
+        dispatch(0).catch(err => {
+            if (!reached_done && !replied) {
+                replied = true;
+                this.reply(msg, false);
+            }
+            this.emit('error', err);
+        });
+    }
+
+    //
+    // run user-defined handler and reply to message with its result
+    //
+    YateExt.prototype._run_handler = function (handler, msg) {
+        new Promise(resolve => resolve(handler(msg)))
+            .then(result => {
+                this._reply_result(msg, result);
+            })
+            .catch(err => {
+                this.reply(msg, false);
+                this.emit('error', err);
+            });
+    }
+
+    //
+    // reply to message with result returned by handler or middleware
+    //
+    YateExt.prototype._reply_result = function (msg, result) {
+        if (result && typeof result == 'object') {
+            const params = Object.assign({}, result.params);
+            if (result.retvalue !== undefined)
+                params.$retvalue = result.retvalue;
+            this.reply(msg, !!result.processed, params);
+        } else {
+            this.reply(msg, result === true);
+        }
+    }
+
     //
     // send `watch` command to Yate
     //
@@ -723,24 +992,307 @@ module.exports = (function () {
     //
     YateExt.prototype.dispatch = function (msg) {
         assert(typeof msg == 'object', 'invalid message');
-        this._cmd_send(encode_message(msg));
+        const line = encode_message(msg);
+
+        // replies are useless after reconnect, so only requests get queued
+        if (msg.$type == '%%>message')
+            this._cmd_send(line, false, { chan: msg.id });
+        else
+            this._cmd_send(line);
+    }
+
+    //
+    // Dispatch message and return a promise that resolves with the decoded
+    // reply from Yate (`$processed`, `$retvalue` and params). The promise is
+    // rejected on timeout or disconnect. Options:
+    // {
+    //     timeout: (optional) max time to wait for reply (ms)
+    // }
+    //
+    YateExt.prototype.request = function (msg, opt) {
+        return this._request(msg, opt, false);
+    }
+
+    //
+    // Dispatch request. If <unqueued> is true, then the message is sent right
+    // away even while queued messages are held after reconnect (see
+    // _flush_send_queue()), and it is never queued.
+    //
+    YateExt.prototype._request = function (msg, opt, unqueued) {
+        assert(typeof msg == 'object', 'invalid message');
+        opt = opt || {};
+
+        const timeout = opt.timeout || this.requestTimeout;
+        assert(isFinite(timeout) && timeout > 0, 'invalid timeout');
+
+        return new Promise((resolve, reject) => {
+            if (!this.ready()) {
+                reject(new Error(`"${msg.$name}" request failed: not connected`));
+                return;
+            }
+
+            // message id is needed for matching the reply
+            if (!msg.$id)
+                msg.$id = makeId();
+            const id = msg.$id;
+
+            const timer = setTimeout(() => {
+                delete this._pending_requests[id];
+                reject(new Error(`"${msg.$name}" request timeout`));
+            }, timeout);
+
+            this._pending_requests[id] = { resolve, reject, timer };
+            if (unqueued)
+                this._cmd_send(encode_message(msg));
+            else
+                this.dispatch(msg);
+        });
+    }
+
+    //
+    // Set extmodule parameter or engine/config value. Returns a promise that
+    // resolves with the value reported by Yate. See "setlocal" in:
+    //     http://docs.yate.ro/wiki/External_module_command_flow
+    //
+    YateExt.prototype.setLocal = function (name, value) {
+        assert(name, 'invalid parameter name');
+
+        return new Promise((resolve, reject) => {
+            if (!this.ready()) {
+                reject(new Error(`setlocal "${name}" failed: not connected`));
+                return;
+            }
+
+            // replies for the same name arrive in the order of requests
+            const list = this._pending_setlocal[name] ||
+                         (this._pending_setlocal[name] = []);
+            const request = { resolve, reject };
+            request.timer = setTimeout(() => {
+                const index = list.indexOf(request);
+                if (index != -1)
+                    list.splice(index, 1);
+                reject(new Error(`setlocal "${name}" timeout`));
+            }, this.requestTimeout);
+            list.push(request);
+
+            this._cmd_send(encode_setlocal({
+                type: '%%>setlocal',
+                name,
+                value: (value === undefined || value === null) ? '' : value
+            }));
+        });
+    }
+
+    //
+    // Query extmodule parameter or engine/config value (e.g.,
+    // `engine.version`, `engine.nodename`, `config.<section>.<key>`). Returns a
+    // promise that resolves with the value.
+    //
+    YateExt.prototype.getLocal = function (name) {
+        return this.setLocal(name, '');
+    }
+
+    //
+    // Run module command (e.g., `sip show`) via `engine.command`. Commands
+    // handled by rmanager itself (`reload`, `debug`, ...) are not available;
+    // configuration reload has no extmodule message, hence no reload().
+    // Returns a promise that resolves with the textual result; rejected if no
+    // module handled the command.
+    //
+    YateExt.prototype.command = function (line, opt) {
+        assert(line, 'invalid command');
+        return this.request({ $name: 'engine.command', line }, opt)
+            .then(reply => {
+                if (!reply.$processed)
+                    throw new Error(`command "${line}" failed`);
+                return reply.$retvalue || '';
+            });
+    }
+
+    //
+    // Query module status via `engine.status` (all modules if <module> not
+    // given). Resolves with parsed status object of the module, or array of
+    // objects for all modules. See Utils.parseStatus().
+    //
+    YateExt.prototype.status = function (module, opt) {
+        const msg = { $name: 'engine.status' };
+        if (module)
+            msg.module = module;
+
+        return this.request(msg, opt).then(reply => {
+            const list = parseStatus(reply.$retvalue);
+            if (!module)
+                return list;
+            if (!list.length)
+                throw new Error(`no status for module "${module}"`);
+            return list[0];
+        });
+    }
+
+    //
+    // Set debug level (number) of <module>, or turn its debugging on/off
+    // (boolean), via `engine.debug` (rmanager handles `debug` commands itself,
+    // they never reach `engine.command`). Resolves with the module's textual
+    // reply.
+    //
+    YateExt.prototype.setDebug = function (module, level, opt) {
+        assert(module, 'invalid module name');
+        let line;
+        if (typeof level == 'boolean')
+            line = level ? 'on' : 'off';
+        else
+            line = `level ${level}`;
+
+        return this.request({ $name: 'engine.debug', module, line }, opt)
+            .then(reply => {
+                if (!reply.$processed)
+                    throw new Error(`debug "${module}" failed`);
+                return reply.$retvalue || '';
+            });
+    }
+
+    //
+    // reject all requests waiting for reply
+    //
+    YateExt.prototype._reject_requests = function (err) {
+        const pending = this._pending_requests;
+        for (const id in pending) {
+            clearTimeout(pending[id].timer);
+            pending[id].reject(err);
+            delete pending[id];
+        }
+
+        const pending_setlocal = this._pending_setlocal;
+        for (const name in pending_setlocal) {
+            for (const request of pending_setlocal[name]) {
+                clearTimeout(request.timer);
+                request.reject(err);
+            }
+            delete pending_setlocal[name];
+        }
+    }
+
+    //
+    // process `setlocal` reply
+    //
+    YateExt.prototype._handle_setlocal = function (cmd) {
+        const list = this._pending_setlocal[cmd.name];
+        const request = list && list.shift();
+        if (list && list.length == 0)
+            delete this._pending_setlocal[cmd.name];
+
+        if (request) {
+            clearTimeout(request.timer);
+            if (cmd.success)
+                request.resolve(cmd.value);
+            else
+                request.reject(new Error(`setlocal "${cmd.name}" failed`));
+        } else if (!cmd.success) {
+            this.emit('error', new Error(`setlocal "${cmd.name}" failed`));
+        }
+
+        // replies to setlocals sent during connect are counted even on failure
+        this.emit('setlocal-confirm', cmd);
     }
 
     //
     // send line to Yate
     //
-    YateExt.prototype._cmd_send = function (encoded_line, force_before_init) {
+    // If the connection is not ready and <queue> is given, then the line is
+    // queued and sent after reconnect. The <queue> object may contain the
+    // channel name the line refers to ({ chan }), so the line can be discarded
+    // if the channel is gone by then. Such lines are queued behind older ones
+    // while those are held after reconnect.
+    //
+    YateExt.prototype._cmd_send = function (encoded_line, force_before_init, queue) {
         assert(encoded_line, 'invalid line');
 
         // write command string to socket
-        if (this._socket && (this._init_complete || force_before_init)) {
-            this.emit('send-line', encoded_line);
-            this._socket.write(encoded_line+'\n');
+        const socket = this._socket;
+        const held = queue && this._send_queue_held;
+        if (socket && (this._init_complete || force_before_init) && !held) {
+            if (this.listenerCount('send-line') > 0)
+                this.emit('send-line', encoded_line.toString('utf8'));
+
+            // batch all lines written during this tick into one socket write
+            // (transport streams without cork() are written line by line)
+            if (this._corked_socket != socket && typeof socket.cork == 'function') {
+                this._corked_socket = socket;
+                socket.cork();
+                process.nextTick(() => {
+                    this._corked_socket = null;
+                    socket.uncork();
+                });
+            }
+            if (typeof encoded_line == 'string')
+                socket.write(encoded_line+'\n', 'utf8');
+            else
+                socket.write(Buffer.concat([encoded_line, newline]));
+        } else if (queue && this.sendQueueSize > 0) {
+            this._enqueue_line(encoded_line, queue.chan);
         } else {
             this.emit('suppress-line', encoded_line);
         }
     }
 
+    //
+    // save line in outbound queue
+    //
+    YateExt.prototype._enqueue_line = function (line, chan) {
+        this._expire_send_queue();
+
+        // held lines are sent soon, so they are not limited
+        if (!this._send_queue_held && this._send_queue.length >= this.sendQueueSize) {
+            this.emit('queue-overflow', line);
+            return;
+        }
+
+        this._send_queue.push({ line, chan, time: Date.now() });
+        this.emit('queue-line', line);
+
+        if (!this._send_queue_timer)
+            this._expire_send_queue();
+    }
+
+    //
+    // Remove expired lines from outbound queue. Schedules itself to run again
+    // when the oldest remaining line expires.
+    //
+    YateExt.prototype._expire_send_queue = function () {
+        clearTimeout(this._send_queue_timer);
+        this._send_queue_timer = null;
+
+        const queue = this._send_queue;
+        const now = Date.now();
+        while (queue.length > 0 && now - queue[0].time >= this.sendQueueTTL)
+            this.emit('queue-expire', queue.shift().line);
+
+        if (queue.length > 0) {
+            const delay = queue[0].time + this.sendQueueTTL - now;
+            this._send_queue_timer = setTimeout(() => {
+                this._expire_send_queue();
+            }, delay);
+        }
+    }
+
+    //
+    // Send queued lines in order, then stop holding new lines. Lines that
+    // refer to channels in <lost> (reported gone by _resync_channels()) are
+    // discarded.
+    //
+    YateExt.prototype._flush_send_queue = function (lost) {
+        this._expire_send_queue();
+
+        const queue = this._send_queue.splice(0);
+        for (const { line, chan } of queue) {
+            if (chan && lost && lost.indexOf(chan) != -1)
+                this.emit('queue-discard', line);
+            else
+                this._cmd_send(line);
+        }
+        this._send_queue_held = false;
+    }
+
     //
     // send `call.drop` to Yate
     //
@@ -890,6 +1442,83 @@ module.exports = (function () {
         }
     }*/
 
+    //
+    // add channel to live channel registry (called on Channel creation)
+    //
+    YateExt.prototype._add_channel = function (channel) {
+        if (this._channels)
+            this._channels[channel.chan] = channel;
+    }
+
+    //
+    // remove channel from live channel registry (called on channel end)
+    //
+    YateExt.prototype._remove_channel = function (channel) {
+        if (this._channels && this._channels[channel.chan] === channel)
+            delete this._channels[channel.chan];
+    }
+
+    //
+    // return array of live channels
+    //
+    YateExt.prototype.getChannels = function () {
+        const channels = this._channels || {};
+        return Object.keys(channels).map(chan => channels[chan]);
+    }
+
+    //
+    // return live channel by Yate channel id (undefined if not found)
+    //
+    YateExt.prototype.getChannel = function (chan) {
+        return this._channels ? this._channels[chan] : undefined;
+    }
+
+    //
+    // return array of live channels belonging to call with given billid (all
+    // legs of a call share the billid)
+    //
+    YateExt.prototype.findByBillId = function (billid) {
+        return this.getChannels().filter(channel => channel.billid == billid);
+    }
+
+    //
+    // Name of the carrier with line id <account> (see makeCarrierName()). Line
+    // ids of unknown carriers are reduced to `<username>@<host>[:<port>]`.
+    //
+    YateExt.prototype._carrier_name = function (account) {
+        if (!account)
+            return undefined;
+
+        const trunk = this.carriers && this.carriers[account];
+        if (trunk)
+            return makeCarrierName(trunk);
+
+        // line id: <username>:<password>:<auth_name>:<auth_domain>@<host>:<port>
+        const at = account.lastIndexOf('@');
+        const [host, port] = account.substring(at + 1).split(':');
+        return makeCarrierName({ username: account.split(':', 1)[0], host, port });
+    }
+
+    //
+    // Count live channels per direction and carrier:
+    // {
+    //     total, incoming, outgoing, internal,
+    //     carriers: { carrier name -> count }
+    // }
+    //
+    YateExt.prototype.getChannelCounts = function () {
+        const counts = { total: 0, incoming: 0, outgoing: 0, internal: 0, carriers: {} };
+        for (const channel of this.getChannels()) {
+            counts.total++;
+            counts[channel.direction]++;
+
+            const carrier = channel.carrier;
+            if (carrier)
+                counts.carriers[carrier] = (counts.carriers[carrier] || 0) + 1;
+        }
+        return counts;
+    }
+
     //
     // install message handlers
     //
@@ -928,8 +1557,17 @@ module.exports = (function () {
             this._runHandlers(chan_notify.targetid, 'onNotify', chan_notify);
         });
         this.on('chan.dtmf', function (chan_dtmf) {
+            // DTMF we sent toward a channel (see Channel.sendDTMF()) has no id
+            if (!chan_dtmf.id)
+                return;
             this._runHandlers(chan_dtmf.id, 'onDTMF', chan_dtmf.text);
         });
+        this.on('call.ringing', function (call_ringing) {
+            this._runHandlers(call_ringing.id, 'onRinging', call_ringing);
+        });
+        this.on('call.progress', function (call_progress) {
+            this._runHandlers(call_progress.id, 'onProgress', call_progress);
+        });
         this.on('call.execute', function (call_execute) {
             if (call_execute.id)
                 this._runHandlers(call_execute.id, 'onExecute', call_execute);
@@ -1114,6 +1752,50 @@ module.exports = (function () {
         });
     }
 
+    //
+    // Check which channels with a hangup handler still exist in Yate (after
+    // reconnect `chan.hangup` may have been missed). Lost channels get a
+    // synthetic `chan.hangup` with cause 503 and "Connection lost" reason. Channels with
+    // unknown state (request failed) are left alone. Returned promise never
+    // rejects; it resolves with { alive, lost } channel names.
+    //
+    YateExt.prototype._resync_channels = function () {
+        const suffix = '_onHangup';
+        const chans = Object.keys(this._chan_handlers)
+            .filter(event => event.endsWith(suffix))
+            .map(event => event.slice(0, -suffix.length));
+        const alive = [];
+        const lost = [];
+        if (chans.length == 0)
+            return Promise.resolve({ alive, lost });
+
+        // sent ahead of held messages (see _flush_send_queue())
+        return Promise.all(chans.map(chan => {
+            return this._request({ $name: 'chan.locate', id: chan }, {}, true).then(reply => {
+                if (reply.$processed) {
+                    alive.push(chan);
+                    return;
+                }
+
+                // real hangup may have arrived in the meantime
+                if (!this._chan_handlers[chan + suffix])
+                    return;
+
+                lost.push(chan);
+                this._runHandlers(chan, 'onHangup', {
+                    $name: 'chan.hangup',
+                    id: chan,
+                    cause_sip: 503,
+                    reason: 'Connection lost'
+                });
+                this._clearChanHandlers(chan);
+            }, () => {});
+        })).then(() => {
+            this.emit('resync', { alive, lost });
+            return { alive, lost };
+        });
+    }
+
     //
     // remove all event handlers registered for a channel
     //
@@ -1132,6 +1814,8 @@ module.exports = (function () {
         delete chan_handlers[chan + 'onNotify'];
         delete chan_handlers[chan + 'onDTMF'];
         delete chan_handlers[chan + 'onExecute'];
+        delete chan_handlers[chan + 'onRinging'];
+        delete chan_handlers[chan + 'onProgress'];
     }
 
     //
@@ -1160,54 +1844,117 @@ module.exports = (function () {
         const name = msg.$name;
 
         if (msg.$type == '%%<message') {
+            // resolve pending request
+            const request = this._pending_requests[msg.$id];
+            if (request) {
+                delete this._pending_requests[msg.$id];
+                clearTimeout(request.timer);
+                request.resolve(msg);
+            }
+
             // emit message event
             if (watch_list[name])
                 this.emit(name, msg);
             return;
         }
         if (msg.$type == '%%>message') {
-            // emit message event
-            const handled = this.emit(name, msg);
+            // middleware runs before handlers
+            if (this._middleware.length > 0)
+                this._run_middleware(msg, this._dispatch_message.bind(this));
+            else
+                this._dispatch_message(msg);
+            return;
+        }
+        throw new Error('invalid message type');
+    }
 
-            // unhandled messages are sent back with processed=false.
-            if (!handled && install_list[name]) {
-                this.emit('reply-unhandled', msg);
-                this.reply(msg, false);
+    //
+    // pass message (%%>message) on to its handlers
+    //
+    YateExt.prototype._dispatch_message = function (msg) {
+        const name = msg.$name;
+
+        // emit message event
+        const handled = this.emit(name, msg);
+
+        // Parked channels (e.g., during consultation) are kept alive to be
+        // connected again, see _keep_alive_ref()
+        if (name == 'chan.disconnected') {
+            const channel = this.getChannel(msg.id);
+            if (channel && channel._keep_alive) {
+                this.reply(msg, true);
+                return;
             }
+        }
+
+        // user-defined handler replies to message
+        const entry = this._handlers[name];
+        if (entry) {
+            this._run_handler(entry.handler, msg);
             return;
         }
-        throw new Error('invalid message type');
+
+        // unhandled messages are sent back with processed=false.
+        if (!handled && (install_list[name] || name == 'chan.disconnected')) {
+            this.emit('reply-unhandled', msg);
+            this.reply(msg, false);
+        }
     }
 
+    //
+    // process received line (Buffer or string)
+    //
     YateExt.prototype._process_line = function (line) {
         try {
-            this.emit('recv-line', line);
+            // line events carry text (only converted if someone listens)
+            if (this.listenerCount('recv-line') > 0)
+                this.emit('recv-line', line.toString('utf8'));
 
-            // split command into parts
-            const parts = line.split(':');
-            if (parts.length < 2 || parts[0].substr(0, 2) != '%%') {
+            // split command into fields (parameters are split later, if needed)
+            const fields = split_line(line);
+            if (fields.length < 2 || fields[0].substr(0, 2) != '%%') {
                 this.emit('error', new Error('invalid line'));
                 return;
             }
 
             // handle the command
-            const type = parts[0];
+            const type = fields[0];
             if (type == '%%>message' || type == '%%<message') {
+                const msg = decode_message_header(fields);
+
+                // skip parameter decoding for replies nobody is waiting for
+                if (type == '%%<message' && !watch_list[msg.$name] &&
+                    !this._pending_requests[msg.$id])
+                    return;
+
                 // handle message after event loop processing so as to give
-                // callers time to register message handlers
-                this._handle_message(decode_message(parts));
-            } else if (type == '%%<install') {
-                const cmd = decode_install(parts);
+                // callers time to register message handlers (messages are
+                // still handled in the order received)
+                decode_message_params(msg, fields);
+                process.nextTick(() => {
+                    try {
+                        this._handle_message(msg);
+                    } catch (err) {
+                        this.emit('error', err);
+                    }
+                });
+                return;
+            }
+
+            if (type == '%%<install') {
+                const cmd = decode_install(fields);
                 if (cmd.success)
                     this.emit('install-confirm', cmd);
                 else
                     this.emit('error', new Error('install failed'));
             } else if (type == '%%<watch') {
-                const cmd = decode_watch(parts);
+                const cmd = decode_watch(fields);
                 if (cmd.success)
                     this.emit('watch-confirm', cmd);
                 else
                     this.emit('error', new Error('watch failed'));
+            } else if (type == '%%<setlocal') {
+                this._handle_setlocal(decode_setlocal(fields));
             } else if (type == '%%<unwatch' || type == '%%<uninstall') {
                 // nothing
             } else {
@@ -3,6 +3,7 @@
 const util = require('util');
 const { EventEmitter } = require('events');
 const Codes = require('./Codes');
+const { makeId } = require('./Protocol');
 const assert = console.assert;
 
 //
@@ -108,12 +109,83 @@ var extract_cause = (function () {
     }
 })();
 
+//
+// create error for a channel that ended without getting a peer (disconnect
+// cause is attached to the error)
+//
+function peer_error(channel) {
+    const cause = channel.getDisconnectCause() ||
+                  { code: 487, text: 'Request Terminated' };
+    const err = new Error(`channel "${channel.chan}" ended: ${cause.code} ${cause.text}`);
+    err.cause = cause;
+    return err;
+}
+
+//
+// convert SIP headers to message params with "osip_" prefix
+//
+function osip_params(headers) {
+    const params = {};
+    for (const name in headers || {})
+        params[`osip_${name}`] = headers[name];
+    return params;
+}
+
+//
+// create error for operation <op> not allowed in channel's current state
+//
+function state_error(channel, op) {
+    const err = new Error(`"${op}" not allowed on channel "${channel.chan}" in state "${channel.state}"`);
+    err.op = op;
+    err.state = channel.state;
+    return err;
+}
+
+//
+// route description for channel snapshots (line account is left out because
+// it contains carrier credentials)
+//
+function route_info(route) {
+    if (!route)
+        return null;
+
+    const info = {};
+    for (const key of ['fullroute', 'protocol', 'host', 'caller', 'called', 'formats']) {
+        if (route[key] !== undefined)
+            info[key] = route[key];
+    }
+    return info;
+}
+
+//
+// channel state transitions: state -> allowed next states
+//
+const transitions = {
+    'routing':      ['routed', 'terminating', 'ended'],
+    'routed':       ['ringing', 'early-media', 'answered', 'terminating', 'ended'],
+    'ringing':      ['early-media', 'answered', 'terminating', 'ended'],
+    'early-media':  ['ringing', 'answered', 'terminating', 'ended'],
+    'answered':     ['on-hold', 'terminating', 'ended'],
+    'on-hold':      ['answered', 'terminating', 'ended'],
+    'terminating':  ['ended'],
+    'ended':        []
+};
+
 var Channel = exports.Channel = (function () {
     //
     // inherits from EventEmitter and emits these events:
     //      bind
+    //      state
     //      fork
+    //      ringing
+    //      progress
     //      peer
+    //      transfer
+    //      transfer-failed
+    //      consult
+    //      consult-end
+    //      hold
+    //      resume
     //      dtmf
     //      timeout
     //      end
@@ -133,12 +205,42 @@ var Channel = exports.Channel = (function () {
         this.chan = cfg.chan;
         this.call_route = cfg.call_route;
 
+        // Direction: 'incoming' (channel routed by us), 'outgoing' (forked
+        // route leg) or 'internal' (IVR). Carrier is the name of the line of
+        // the route taken or of the incoming call (if from a registered line);
+        // not the line id, which contains the password.
+        const call_route = cfg.call_route || {};
+        this.direction = cfg.direction || (cfg.call_route ? 'incoming' : 'outgoing');
+        this.route = cfg.route;
+        this.billid = cfg.billid || call_route.billid;
+        this.carrier = this.pbx._carrier_name((cfg.route && cfg.route.line) || call_route.in_line);
+        this.createTime = Date.now();
+
+        // Channel state (see `transitions`). Channels in routing mode (with
+        // `call.route` message) start in 'routing', others are already routed.
+        this.state = cfg.call_route ? 'routing' : 'routed';
+
         // state variables
         this.routed = false;
         this.terminated = false;
 
-        // timeout timer
+        // timeout timer and its expiry time
         this.timer = null;
+        this.timeoutAt = null;
+
+        // true if channel must survive losing its peer (see _set_keep_alive())
+        this._keep_alive = false;
+
+        // attended transfer in progress (see consult())
+        this._consult = null;
+
+        // hold in progress (see hold()) and total time spent on hold (ms)
+        this._hold = null;
+        this._hold_since = null;
+        this.holdTime = 0;
+
+        // digit collection in progress (see collectDigits())
+        this._collect = null;
 
         // pass errors on to pbx
         this.on('error', function (err) {
@@ -150,10 +252,23 @@ var Channel = exports.Channel = (function () {
             this.emit('dtmf', text);
         }.bind(this));
 
+        // Outgoing channel rings (`call.ringing`) or reports progress
+        // (`call.progress`). Early media means the remote end sends audio
+        // (e.g., its own ringback or announcement) before answer.
+        this.pbx.onChannelEvent(this.chan, 'onRinging', function (call_ringing) {
+            this._progress('ringing', call_ringing, 180);
+        }.bind(this));
+        this.pbx.onChannelEvent(this.chan, 'onProgress', function (call_progress) {
+            this._progress('progress', call_progress, 183);
+        }.bind(this));
+
         // wait for channel hangup
         this.pbx.onChannelEvent(this.chan, 'onHangup', function (chan_hangup) {
             this._doTerminate(extract_cause(chan_hangup));
         }.bind(this));
+
+        // add to live channel registry (removed on end)
+        this.pbx._add_channel(this);
     }
     util.inherits(Channel, EventEmitter);
 
@@ -200,11 +315,47 @@ var Channel = exports.Channel = (function () {
     }
 
     //
-    // return true if channel is bound and not terminated
+    // Change channel state and emit `state` event with { old, new, time }.
+    // Transitions not allowed from current state are ignored (e.g., late
+    // ringing after answer). Returns true if state changed.
+    //
+    Channel.prototype._set_state = function (state) {
+        const old = this.state;
+        if (transitions[old].indexOf(state) == -1)
+            return false;
+
+        this.state = state;
+        this.emit('state', { old, new: state, time: Date.now() });
+        return true;
+    }
+
+    //
+    // return channel state
+    //
+    Channel.prototype.getState = function () {
+        return this.state;
+    }
+
+    //
+    // Return true if operation <op> is allowed in current channel state (one
+    // of <states>). Otherwise emit error (with `op` and `state` attached) and
+    // return false.
+    //
+    Channel.prototype.isAllowed = function (op, states) {
+        if (states.indexOf(this.state) != -1)
+            return true;
+
+        this.pbx.emit('error', state_error(this, op));
+        return false;
+    }
+
+    //
+    // return true if channel is bound and not terminated (otherwise reported
+    // like isAllowed() does)
     //
     Channel.prototype.isLive = function (op) {
         if (this.terminated) {
-            this.pbx.emit('error', new Error(`"${op}" on terminated channel ignored`));
+            this.pbx.emit('error', state_error(this, op));
             return false;
         }
         return true;
@@ -230,12 +381,43 @@ var Channel = exports.Channel = (function () {
         // mark as terminated and set disconnect time
         this.terminated = true;
         this.disconnectTime = Date.now();
+        this.pbx._remove_channel(this);
+        this._set_keep_alive(false);
+        this._set_state('ended');
 
         // emit 'end' event & remove all listeners
         this.emit('end', this.getDisconnectCause());
         this.removeAllListeners();
     }
 
+    //
+    // Handle ringing/progress message: update state and emit <event> with:
+    // {
+    //     time:        timestamp
+    //     status:      SIP status code (180 or 183 unless reported by Yate)
+    //     earlyMedia:  true if remote end sends audio before answer
+    //     route:       route taken by this (outgoing) channel
+    // }
+    //
+    Channel.prototype._progress = function (event, msg, status) {
+        // ignore late messages (after answer or hangup)
+        if (['routed', 'ringing', 'early-media'].indexOf(this.state) == -1)
+            return;
+
+        const earlyMedia = (msg.earlymedia == 'true');
+        if (earlyMedia)
+            this._set_state('early-media');
+        else if (event == 'ringing')
+            this._set_state('ringing');
+
+        this.emit(event, {
+            time: Date.now(),
+            status: +msg.cause_sip || status,
+            earlyMedia,
+            route: this.route
+        });
+    }
+
     //
     // get/set peer channel (another Channel instance)
     //
@@ -249,6 +431,21 @@ var Channel = exports.Channel = (function () {
         peer.peer = this;
     }
 
+    //
+    // Keep channel alive when it loses its peer (parked on hold, during
+    // consultation or conference joins). Yate hangs up such channels unless
+    // `chan.disconnected` is handled, which the PBX instance only does while
+    // some channel is kept alive.
+    //
+    Channel.prototype._set_keep_alive = function (keep) {
+        keep = !!keep;
+        if (this._keep_alive == keep)
+            return;
+
+        this._keep_alive = keep;
+        this.pbx._keep_alive_ref(keep ? 1 : -1);
+    }
+
     //
     // channel is terminated after <timeout> seconds
     //
@@ -261,10 +458,12 @@ var Channel = exports.Channel = (function () {
         clearTimeout(this.timer);
 
         // set timeout (drop channel when reached)
+        this.timeoutAt = Date.now() + timeout;
         this.timer = setTimeout(function () {
             if (!this.isLive('force drop'))
                 return;
             this.emit('timeout', { chan: this.chan, timeout: timeout });
+            this._set_state('terminating');
             this.pbx.chanDrop(this.chan, 'Payment Required');
         }.bind(this), timeout);
     }
@@ -277,6 +476,7 @@ var Channel = exports.Channel = (function () {
             return;
 
         cause = cause || { code: 487, text: 'Request Terminated' };
+        this._set_state('terminating');
         this._doTerminate(cause);
 
         // if we're still in routing state, then we have to reply to the
@@ -290,6 +490,64 @@ var Channel = exports.Channel = (function () {
         this.pbx.chanDrop(this.chan, cause.text);
     }
 
+    //
+    // Reject incoming call (in routing state) with a SIP response. The
+    // response is given as code (e.g., 486) or text ('Busy Here'). Unknown
+    // response texts and codes outside 300-699 are reported as `error` and the
+    // call is rejected with 480 (Temporarily Unavailable) instead. Options:
+    // {
+    //     reason:  (optional) response text, default from Codes
+    //     headers: (optional) extra SIP headers, e.g., { 'Retry-After': 60 }
+    // }
+    //
+    Channel.prototype.reject = function (codeOrText, opt) {
+        opt = opt || {};
+        if (!this.isLive('reject'))
+            return;
+        if (!this.isAllowed('reject', ['routing']))
+            return;
+
+        // map code <-> text (an unknown response is not sent as reason)
+        let code = codeOrText;
+        if (typeof codeOrText == 'string')
+            code = Codes.sipResponseToSipCode[codeOrText];
+        if (!(code >= 300 && code < 700)) {
+            this.pbx.emit('error', new Error(`invalid SIP response "${codeOrText}", rejecting with 480`));
+            code = 480;
+        }
+        const text = opt.reason || Codes.sipCodeToSipResponse[code];
+
+        // Reply to call.route with target "-" (no route); Yate's SIP channel
+        // answers the INVITE with the `error` code and `reason` text
+        const params = Object.assign({ $retvalue: '-', error: code, reason: text },
+                                     osip_params(opt.headers));
+        this.routed = true;
+        this._set_state('terminating');
+        this.pbx.reply(this.call_route, true, params);
+
+        this._doTerminate({ code, text });
+    }
+
+    //
+    // Redirect incoming call (in routing state) to <uri> with a 3xx response
+    // (Contact header). Options:
+    // {
+    //     code:    (optional) 301 or 302 (default)
+    //     headers: (optional) extra SIP headers
+    // }
+    //
+    Channel.prototype.redirect = function (uri, opt) {
+        assert(uri, 'missing redirect URI');
+        opt = opt || {};
+
+        const code = opt.code || 302;
+        assert(code >= 300 && code < 400, 'invalid redirect code');
+
+        this.reject(code, {
+            headers: Object.assign({ Contact: `<${uri}>` }, opt.headers)
+        });
+    }
+
     //
     // channel duration in milliseconds (will return 0 before channel
     // termination)
@@ -323,6 +581,49 @@ var Channel = exports.Channel = (function () {
         return cause;
     }
 
+    //
+    // Return a promise that resolves with `{ peer, route, time }` when the
+    // channel gets a peer. The promise is rejected if the channel ends first;
+    // the error has the disconnect cause attached as `err.cause`.
+    //
+    Channel.prototype.waitForPeer = function () {
+        return new Promise((resolve, reject) => {
+            // already ended
+            if (this.terminated) {
+                reject(peer_error(this));
+                return;
+            }
+
+            // already has a peer
+            if (this.peer) {
+                resolve({ peer: this.peer, route: this.route, time: this.connectTime });
+                return;
+            }
+
+            // wait for whichever comes first, then remove the other listener
+            const on_peer = (peer, info) => {
+                this.removeListener('end', on_end);
+                resolve(Object.assign({ peer }, info));
+            };
+            const on_end = () => {
+                this.removeListener('peer', on_peer);
+                reject(peer_error(this));
+            };
+            this.once('peer', on_peer);
+            this.once('end', on_end);
+        });
+    }
+
+    //
+    // return a promise that resolves with the disconnect cause when the
+    // channel ends
+    //
+    Channel.prototype.ended = function () {
+        return new Promise(resolve => {
+            this.oncesafe('end', resolve);
+        });
+    }
+
     //
     // get caller/called number
     //
@@ -334,18 +635,49 @@ var Channel = exports.Channel = (function () {
     }
 
     //
-    // connect to a peer channel
+    // JSON-serializable channel snapshot
+    //
+    Channel.prototype.toJSON = function () {
+        const call_route = this.call_route || {};
+        const route = this.route || {};
+        return {
+            chan: this.chan,
+            peer: this.peer ? this.peer.chan : null,
+            direction: this.direction,
+            billid: this.billid,
+            caller: call_route.caller || route.caller,
+            called: call_route.called || route.called,
+            state: this.state,
+            createTime: this.createTime,
+            connectTime: this.connectTime || null,
+            holdTime: this.getHoldTime(),
+            route: route_info(this.route)
+        };
+    }
+
+    //
+    // Connect to a peer channel. Both channels are answered afterwards (a
+    // channel in routing goes through 'routed').
     //
     Channel.prototype.connectToChannel = function (peer) {
         assert(peer instanceof Channel, peer);
 
-        if (!this.isLive('connect'))
+        const states = ['routing', 'routed', 'ringing', 'early-media', 'answered'];
+        if (!this.isAllowed('connect', states))
             return;
-        if (!peer.isLive('connectPeer'))
+        if (!peer.isAllowed('connectPeer', states))
             return;
 
         this.pbx.chanConnect(this.chan, peer.chan);
         this.setPeer(peer);
+
+        const now = Date.now();
+        for (const channel of [this, peer]) {
+            if (channel.state == 'routing')
+                channel._set_state('routed');
+            channel._set_state('answered');
+            channel.connectTime = channel.connectTime || now;
+        }
     }
 
     //
@@ -361,7 +693,7 @@ var Channel = exports.Channel = (function () {
     // check if channel is in routing mode
     //
     Channel.prototype.isRouting = function () {
-        return this.isLive('isRouting') && this.call_route && !this.routed;
+        return this.isLive('isRouting') && this.state == 'routing';
     }
 
     //
@@ -371,17 +703,12 @@ var Channel = exports.Channel = (function () {
         // sanity checks
         if (!this.isLive('routeToDestination'))
             return;
-        if (!this.call_route) {
-            this.emit('error', new Error(`channel "${this.chan}" is not in routing mode`));
+        if (!this.isAllowed('routeToDestination', ['routing']))
             return;
-        }
-        if (this.routed) {
-            this.emit('error', new Error(`channel "${this.chan}" is already routed`));
-            return;
-        }
 
         // mark channel as routed
         this.routed = true;
+        this._set_state('routed');
 
         // timeouts
         var timeout = dest.timeout || this.pbx.callTimeout;
@@ -391,12 +718,7 @@ var Channel = exports.Channel = (function () {
 
         // Yate requires SIP headers to be prefixed with "osip_" in the
         // call.route message
-        const headers = dest.headers;
-        const osip_headers = {};
-        if (headers) {
-            for (let name in headers)
-                osip_headers[`osip_${name}`] = headers[name];
-        }
+        const osip_headers = osip_params(dest.headers);
 
         // Reply to call.route message with routes to destination. The timeout
         // is an upper bound because Yate includes setup time in it. We set a
@@ -412,12 +734,25 @@ var Channel = exports.Channel = (function () {
             })
         );
 
-        //
         // handle forks
-        //
+        this._watch_forks(dest, timeout);
+    }
+
+    //
+    // Handle `call.execute` of callfork slaves originating from this channel
+    // (after routing or transfer): create a Channel for each fork and connect
+    // the answering one as peer. Routes are looked up in the latest <dest>.
+    //
+    Channel.prototype._watch_forks = function (dest, timeout) {
+        this._fork_dest = { dest, timeout };
+        if (this._forks_watched)
+            return;
+        this._forks_watched = true;
+
         this.pbx.onChannelEvent(this.chan, 'onExecuteFork', function (call_execute) {
             // get route
             var call = this;
+            var { dest, timeout } = this._fork_dest;
             var slave_index = call_execute.id.split('/')[2];
             var route = dest.routes[slave_index - 1];
 
@@ -431,7 +766,12 @@ var Channel = exports.Channel = (function () {
             // create new Channel instance for each fork
             var fork_channel = new Channel({
                 chan: sip_id,
-                pbx: call.pbx
+                pbx: call.pbx,
+                route: Object.assign({
+                    caller: call_execute.caller,
+                    called: call_execute.called
+                }, route),
+                billid: call_execute.billid || call.billid
             });
 
             // emit `fork`
@@ -444,10 +784,18 @@ var Channel = exports.Channel = (function () {
             call.pbx.onChannelEvent(sip_id, 'onConnected', function (chan_connected) {
                 if (chan_connected.peerid != call.chan)
                     return; // not yet connected to original channel
+                if (call.peer === fork_channel && fork_channel.connectTime)
+                    return; // reconnected (e.g., after consultation)
 
-                // set as each other's peers, store connect timestamp
+                // set as each other's peers, store connect timestamp (keep
+                // the original one if this channel was transferred)
+                var now = Date.now();
                 call.setPeer(fork_channel);
-                call.connectTime = fork_channel.connectTime = Date.now();
+                call.connectTime = call.connectTime || now;
+                fork_channel.connectTime = now;
+                call.route = route;
+                call._set_state('answered');
+                fork_channel._set_state('answered');
 
                 // If the routed channel ("this" channel) is an IVR, then
                 // generate silence tone in case of empty sound queue as soon as
@@ -464,11 +812,11 @@ var Channel = exports.Channel = (function () {
                 // emit `peer` events on both channels
                 call.emit('peer', fork_channel, {
                     route: route,
-                    time: call.connectTime
+                    time: now
                 });
                 fork_channel.emit('peer', call, {
                     route: route,
-                    time: call.connectTime
+                    time: now
                 });
             }.bind(this));
 
@@ -496,14 +844,8 @@ var Channel = exports.Channel = (function () {
         // sanity checks
         if (!this.isLive('routeToIVR'))
             return;
-        if (!this.call_route) {
-            this.emit('error', new Error(`channel "${this.chan}" is not in routing mode`));
-            return;
-        }
-        if (this.routed) {
-            this.emit('error', new Error(`channel "${this.chan}" is already routed`));
+        if (!this.isAllowed('routeToIVR', ['routing']))
             return;
-        }
 
         // timeout
         var timeout = ivropt.timeout || this.pbx.callTimeout;
@@ -512,6 +854,7 @@ var Channel = exports.Channel = (function () {
         // reply with route to a new dumb channel & mark channel as routed
         this.pbx.routeCall(this.call_route, true, { $retvalue: 'dumb/' });
         this.routed = true;
+        this._set_state('routed');
 
         // catch `chan.connected` event (our channel connect to dumb channel)
         this.pbx.onChannelEvent(this.chan, 'onConnectedOnce', function (chan_connected) {
@@ -522,12 +865,15 @@ var Channel = exports.Channel = (function () {
             // create IVR channel
             var ivr = new IVR({
                 chan: dumb_id,
-                pbx: this.pbx
+                pbx: this.pbx,
+                billid: this.billid
             });
 
             // set as each other's peers, store connect timestamp
             this.setPeer(ivr);
             ivr.connectTime = this.connectTime = Date.now();
+            this._set_state('answered');
+            ivr._set_state('answered');
 
             // set channel timeout
             this.setTimeout(timeout);
@@ -550,6 +896,578 @@ var Channel = exports.Channel = (function () {
         }.bind(this));
     }
 
+    //
+    // Blind transfer: connect the remote party of this (answered) channel to
+    // <destination> and release the current peer. Destination is either:
+    //     - destination object as for routeToDestination() (routes, called,
+    //       caller, headers, timeout, setupTimeout); Yate executes the new
+    //       call on this channel (`chan.masquerade` + `call.execute`)
+    //     - called number (string) using the routes this channel was routed
+    //       with
+    //     - SIP URI (string) if `refer` option is true; the remote party is
+    //       asked to call it (SIP REFER via `chan.transfer`)
+    // Options:
+    // {
+    //     refer:   (optional) transfer with SIP REFER
+    //     cause:   (optional) disconnect cause for the released peer, default
+    //              { code: 200, text: 'Call Transferred' }
+    // }
+    //
+    // Emits `transfer` ({ destination, peer, time }) or `transfer-failed`
+    // ({ destination, error }). Returns a promise that resolves when Yate
+    // accepts the transfer.
+    //
+    Channel.prototype.transfer = function (destination, opt) {
+        opt = opt || {};
+        if (['answered', 'on-hold'].indexOf(this.state) == -1)
+            return Promise.reject(state_error(this, 'transfer'));
+
+        let msg;
+        if (opt.refer) {
+            assert(typeof destination == 'string', 'invalid transfer URI');
+            msg = { $name: 'chan.transfer', id: this.chan, to: destination };
+        } else {
+            // string destination reuses the routes this channel was routed with
+            // (not available e.g. after routeToIVR())
+            if (typeof destination == 'string') {
+                if (!this._fork_dest)
+                    return Promise.reject(new Error(`channel "${this.chan}" has no routes for transfer`));
+                destination = Object.assign({}, this._fork_dest.dest, { called: destination });
+            }
+            if (!destination || !(destination.routes instanceof Array) || destination.routes.length == 0)
+                return Promise.reject(new Error(`invalid/missing routes for transfer of "${this.chan}"`));
+
+            const timeout = destination.timeout || this.pbx.callTimeout;
+            const setupTimeout = destination.setupTimeout || this.pbx.callSetupTimeout;
+            assert(isFinite(timeout) && timeout >= 0, 'invalid timeout');
+            assert(isFinite(setupTimeout) && setupTimeout >= 0, 'invalid setup timeout');
+
+            // forked call is executed on this channel, the callfork target
+            // goes to `callto` instead of the routing return value
+            const called = destination.called || this.getCalled();
+            const caller = destination.caller || this.getCaller();
+            const fork_params = fork(destination.routes, caller, called);
+            delete fork_params.$retvalue;
+            msg = Object.assign({
+                $name: 'chan.masquerade',
+                message: 'call.execute',
+                id: this.chan,
+                callto: 'fork'
+            }, fork_params, osip_params(destination.headers), {
+                maxcall: setupTimeout
+            });
+
+            // fork slaves may be executed before the reply arrives
+            this._watch_forks(destination, timeout);
+        }
+
+        const peer = this.peer;
+        const failed = err => {
+            this.emit('transfer-failed', { destination, error: err });
+            throw err;
+        };
+
+        return this.pbx.request(msg).then(reply => {
+            if (!reply.$processed) {
+                const reason = reply.error || reply.reason || 'not processed';
+                return failed(new Error(`"${this.chan}" transfer failed: ${reason}`));
+            }
+
+            // a held call (held by either side) is not resumed, the hold is
+            // just cleared so that releasing the peer doesn't end this channel
+            const holder = this._hold ? this :
+                           (peer && peer._hold && peer._hold.peer === this) ? peer : null;
+            if (holder) {
+                holder._unhold();
+                this._set_state('answered');
+            }
+
+            // release original peer
+            if (peer && this.peer === peer) {
+                this.peer = undefined;
+                peer.terminate(opt.cause || { code: 200, text: 'Call Transferred' });
+            }
+
+            this.emit('transfer', { destination, peer, time: Date.now() });
+        }, failed);
+    }
+
+    //
+    // Attended transfer, step 1: park the remote party (peer) and call
+    // <destination> (as for makeCall()). When the consulted party answers, it
+    // is connected to this channel. Options:
+    // {
+    //     hold:  (optional) target the parked peer is connected to, default
+    //            'tone/ring'
+    // }
+    //
+    // Returns a promise that resolves with the new outgoing leg (IVR channel,
+    // see makeCall()). Emits `consult` ({ target, time }) when the consulted
+    // party is connected and `consult-end` ({ reason }) when the consultation
+    // is cancelled or fails (the peer is then reconnected).
+    //
+    Channel.prototype.consult = function (destination, opt) {
+        opt = opt || {};
+        if (this.state != 'answered' || !this.peer || this._consult)
+            return Promise.reject(state_error(this, 'consult'));
+
+        const peer = this.peer;
+        const consult = this._consult = { destination, peer, leg: null, target: null };
+
+        // park peer: connecting it elsewhere disconnects this channel, so
+        // both must survive `chan.disconnected`
+        this._set_keep_alive(true);
+        peer._set_keep_alive(true);
+        peer._set_state('on-hold');
+        this.pbx.dispatch({
+            $name: 'chan.masquerade',
+            id: peer.chan,
+            message: 'call.execute',
+            callto: opt.hold || 'tone/ring'
+        });
+
+        return this.pbx.makeCall(destination).then(leg => {
+            // consultation cancelled while the call was being set up
+            if (this._consult !== consult) {
+                leg.terminate();
+                throw new Error(`"${this.chan}" consultation cancelled`);
+            }
+            consult.leg = leg;
+
+            // consulted party answers: connect it to this channel
+            leg.once('peer', target => {
+                if (this._consult !== consult || this.terminated)
+                    return;
+
+                consult.target = target;
+                this.pbx.chanConnect(this.chan, target.chan);
+                this.setPeer(target);
+
+                // the dumb channel that placed the call is no longer needed
+                leg.terminate();
+                this.emit('consult', { target, time: Date.now() });
+
+                // return to parked peer if consulted party hangs up
+                target.once('end', () => {
+                    if (this._consult === consult)
+                        this.cancelConsult('hangup');
+                });
+            });
+
+            // consulted party not reached
+            leg.once('end', () => {
+                if (this._consult === consult && !consult.target)
+                    this.cancelConsult('failed');
+            });
+            return leg;
+        }, err => {
+            if (this._consult === consult)
+                this.cancelConsult('failed');
+            throw err;
+        });
+    }
+
+    //
+    // Attended transfer, step 2: connect the parked peer to the consulted
+    // party and release this channel. The remaining call time (timeout) of
+    // the original call carries over to the consulted party. Emits
+    // `transfer` ({ destination, peer, target, time }).
+    //
+    Channel.prototype.completeTransfer = function (cause) {
+        const consult = this._consult;
+        if (!consult || !consult.target) {
+            this.pbx.emit('error', state_error(this, 'completeTransfer'));
+            return;
+        }
+        const { destination, peer, target } = consult;
+        if (peer.terminated || target.terminated) {
+            this.cancelConsult('hangup');
+            return;
+        }
+
+        // earliest timeout of the original call
+        const deadline = [this.timeoutAt, peer.timeoutAt]
+            .filter(time => time)
+            .reduce((min, time) => Math.min(min, time), Infinity);
+
+        this._consult = null;
+        this._set_keep_alive(false);
+        peer._set_keep_alive(false);
+        this.pbx.chanConnect(peer.chan, target.chan);
+        peer.setPeer(target);
+        peer._set_state('answered');
+        if (deadline < Infinity)
+            target.setTimeout(Math.max(deadline - Date.now(), 0));
+
+        this.emit('transfer', { destination, peer, target, time: Date.now() });
+        this.terminate(cause || { code: 200, text: 'Call Transferred' });
+    }
+
+    //
+    // Attended transfer, cancel: drop the consulted party and reconnect the
+    // parked peer to this channel
+    //
+    Channel.prototype.cancelConsult = function (reason) {
+        const consult = this._consult;
+        if (!consult) {
+            this.pbx.emit('error', state_error(this, 'cancelConsult'));
+            return;
+        }
+        const { peer, leg, target } = consult;
+
+        this._consult = null;
+        this._set_keep_alive(false);
+        peer._set_keep_alive(false);
+        if (!peer.terminated && !this.terminated) {
+            this.pbx.chanConnect(this.chan, peer.chan);
+            this.setPeer(peer);
+            peer._set_state('answered');
+        }
+        if (target)
+            target.terminate();
+        if (leg)
+            leg.terminate();
+
+        this.emit('consult-end', { reason: reason || 'cancelled' });
+    }
+
+    //
+    // Put the call on hold: the peer is detached from this channel (connected
+    // to a new dumb channel) and hears music on hold. Options:
+    // {
+    //     source: (optional) music on hold source:
+    //             'moh/<class>'     moh module (default 'moh/default')
+    //             'tone/<name>'     tonegen, e.g., 'tone/ring'
+    //             '/path/file.wav'  wave file, played in a loop
+    // }
+    //
+    // Both channels are in 'on-hold' state until resume(). If either channel
+    // ends while on hold, the other one is terminated too. Emits `hold`
+    // ({ source, time }). Returns a promise that resolves when the peer is
+    // detached.
+    //
+    Channel.prototype.hold = function (opt) {
+        opt = opt || {};
+        if (this.state != 'answered' || !this.peer || this._consult)
+            return Promise.reject(state_error(this, 'hold'));
+
+        const source = opt.source || 'moh/default';
+        const peer = this.peer;
+        const hold = this._hold = { peer, source, dumb: null };
+        const now = Date.now();
+
+        // both legs survive being disconnected from each other
+        this._set_keep_alive(true);
+        peer._set_keep_alive(true);
+        for (const channel of [this, peer]) {
+            channel._hold_since = now;
+            channel._set_state('on-hold');
+        }
+
+        // the call ends if either leg hangs up while on hold
+        hold.on_end = () => {
+            if (this._hold !== hold)
+                return;
+            const ended = this.terminated ? this : peer;
+            const other = this.terminated ? peer : this;
+            this._unhold();
+            other.terminate(ended.getDisconnectCause());
+        };
+        this.once('end', hold.on_end);
+        peer.once('end', hold.on_end);
+
+        return this.pbx.request({
+            $name: 'chan.masquerade',
+            id: peer.chan,
+            message: 'call.execute',
+            callto: 'dumb/'
+        }).then(reply => {
+            if (!reply.$processed || !reply.peerid)
+                throw new Error(`"${this.chan}" hold failed: ${reply.error || 'not processed'}`);
+            if (this._hold !== hold)
+                return;     // resumed or ended meanwhile
+
+            hold.dumb = reply.peerid;
+            this._play_hold(hold);
+            this.emit('hold', { source, time: now });
+        }).catch(err => {
+            if (this._hold === hold)
+                this.resume();
+            throw err;
+        });
+    }
+
+    //
+    // attach music on hold source to the dumb channel the peer is held on
+    //
+    Channel.prototype._play_hold = function (hold) {
+        const { source, dumb } = hold;
+        if (source[0] == '/') {
+            // replay wave file when it ends
+            this.pbx.chanPlaywave(dumb, source);
+            this.pbx.onChannelEvent(dumb, 'onNotify', () => {
+                if (this._hold === hold)
+                    this.pbx.chanPlaywave(dumb, source);
+            });
+        } else if (source.startsWith('tone/')) {
+            this.pbx.chanTonegen(dumb, source.substr(5));
+        } else {
+            this.pbx.dispatch({
+                $name: 'chan.masquerade',
+                id: dumb,
+                message: 'chan.attach',
+                source
+            });
+        }
+    }
+
+    //
+    // Resume held call: reconnect this channel and the peer with
+    // `chan.connect`. Emits `resume` ({ time, duration }).
+    //
+    Channel.prototype.resume = function () {
+        const hold = this._hold;
+        if (!hold) {
+            this.pbx.emit('error', state_error(this, 'resume'));
+            return;
+        }
+        const { peer } = hold;
+        const duration = Date.now() - this._hold_since;
+
+        // reconnect before the dumb channel is dropped (peer must not be left
+        // without a peer)
+        this.pbx.chanConnect(this.chan, peer.chan);
+        this._unhold();
+        this._set_state('answered');
+        peer._set_state('answered');
+
+        this.emit('resume', { time: Date.now(), duration });
+    }
+
+    //
+    // clear hold: update hold times, drop the dumb channel
+    //
+    Channel.prototype._unhold = function () {
+        const hold = this._hold;
+        const now = Date.now();
+
+        this._hold = null;
+        for (const channel of [this, hold.peer]) {
+            channel.removeListener('end', hold.on_end);
+            channel.holdTime += now - channel._hold_since;
+            channel._hold_since = null;
+            channel._set_keep_alive(false);
+        }
+        if (hold.dumb)
+            this.pbx.chanDrop(hold.dumb, 'hold ended');
+    }
+
+    //
+    // total time spent on hold in milliseconds (including current hold)
+    //
+    Channel.prototype.getHoldTime = function () {
+        const current = this._hold_since ? Date.now() - this._hold_since : 0;
+        return this.holdTime + current;
+    }
+
+    //
+    // Collect DTMF digits received on the channel. Options:
+    // {
+    //     min:               (optional) digits required for a valid result (default 1)
+    //     max:               (optional) stop when this many digits are collected
+    //     terminators:       (optional) digits that stop collection, not included
+    //                        in the result (default '#', '' disables)
+    //     firstDigitTimeout: (optional) ms to wait for the first digit (default 5000)
+    //     interDigitTimeout: (optional) ms to wait for each next digit (default 3000)
+    //     totalTimeout:      (optional) ms for the whole collection (default none)
+    //     validate:          (optional) function (digits) returning true if
+    //                        collected digits are acceptable (the promise is
+    //                        rejected if it throws)
+    //     bargeIn:           (optional) IVR only: stop queued sounds on the first
+    //                        digit (default true)
+    // }
+    //
+    // Returns a promise that resolves with `{ digits, reason, valid }` where
+    // reason is 'max', 'terminator', 'timeout' or 'hangup'. On IVRs the first
+    // digit timeout starts when the queued sounds (the prompt) finish playing.
+    //
+    Channel.prototype.collectDigits = function (opt) {
+        opt = Object.assign({
+            min: 1,
+            max: 0,
+            terminators: '#',
+            firstDigitTimeout: 5000,
+            interDigitTimeout: 3000,
+            totalTimeout: 0,
+            bargeIn: true
+        }, opt);
+        assert(!opt.validate || typeof opt.validate == 'function', 'invalid validate function');
+
+        if (this._collect)
+            return Promise.reject(new Error(`"${this.chan}" is already collecting digits`));
+
+        return new Promise((resolve, reject) => {
+            const collect = this._collect = { digits: '', timer: null, total_timer: null };
+            const sources = this._dtmf_sources();
+
+            const done = reason => {
+                if (this._collect !== collect)
+                    return;
+                this._collect = null;
+
+                clearTimeout(collect.timer);
+                clearTimeout(collect.total_timer);
+                for (const channel of sources) {
+                    channel.removeListener('dtmf', on_dtmf);
+                    channel.removeListener('end', on_end);
+                }
+                this.removeListener('queue-empty', start_first_timer);
+
+                // a throwing validate function rejects the promise
+                const digits = collect.digits;
+                let valid;
+                try {
+                    valid = digits.length >= opt.min && (!opt.validate || !!opt.validate(digits));
+                } catch (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ digits, reason, valid });
+            };
+
+            const restart_timer = ms => {
+                clearTimeout(collect.timer);
+                if (ms > 0)
+                    collect.timer = setTimeout(() => done('timeout'), ms);
+            };
+            const start_first_timer = () => {
+                if (collect.digits.length == 0)
+                    restart_timer(opt.firstDigitTimeout);
+            };
+
+            const on_dtmf = text => {
+                for (const digit of String(text)) {
+                    if (this._collect !== collect)
+                        return;
+
+                    if (collect.digits.length == 0 && opt.bargeIn)
+                        this._barge_in();
+
+                    if (opt.terminators && opt.terminators.indexOf(digit) >= 0) {
+                        done('terminator');
+                        return;
+                    }
+
+                    collect.digits += digit;
+                    if (opt.max > 0 && collect.digits.length >= opt.max) {
+                        done('max');
+                        return;
+                    }
+                    restart_timer(opt.interDigitTimeout);
+                }
+            };
+            const on_end = () => done('hangup');
+
+            if (this.terminated) {
+                done('hangup');
+                return;
+            }
+
+            for (const channel of sources) {
+                channel.on('dtmf', on_dtmf);
+                channel.once('end', on_end);
+            }
+
+            // wait for the prompt to finish before waiting for the first digit
+            if (this._is_playing())
+                this.once('queue-empty', start_first_timer);
+            else
+                start_first_timer();
+
+            if (opt.totalTimeout > 0)
+                collect.total_timer = setTimeout(() => done('timeout'), opt.totalTimeout);
+        });
+    }
+
+    //
+    // channels whose DTMF is collected by collectDigits()
+    //
+    Channel.prototype._dtmf_sources = function () {
+        return [this];
+    }
+
+    //
+    // true if queued sounds are being played (see IVR)
+    //
+    Channel.prototype._is_playing = function () {
+        return false;
+    }
+
+    //
+    // stop prompt on first collected digit (see IVR)
+    //
+    Channel.prototype._barge_in = function () {
+    }
+
+    //
+    // Send DTMF <digits> toward the channel's remote end (e.g., to drive a
+    // carrier IVR on an outgoing leg). Digits are 0-9, *, #, A-D and F (flash)
+    // in either case; a comma pauses sending. Options:
+    // {
+    //     method:      (optional) 'rfc2833', 'info' or 'inband' (default is
+    //                  the channel's configured method)
+    //     interDigitMs:(optional) ms between digits (default 250)
+    //     pauseMs:     (optional) ms for each comma (default 1000)
+    // }
+    //
+    // Returns a promise that resolves when all digits are sent. It is rejected
+    // if the channel ends meanwhile or Yate doesn't accept a digit.
+    //
+    Channel.prototype.sendDTMF = function (digits, opt) {
+        opt = Object.assign({ interDigitMs: 250, pauseMs: 1000 }, opt);
+        assert(typeof digits == 'string' && /^[0-9A-DFa-df*#,]*$/.test(digits), 'invalid DTMF digits');
+        assert(!opt.method || ['rfc2833', 'info', 'inband'].indexOf(opt.method) >= 0, 'invalid DTMF method');
+
+        if (this.terminated)
+            return Promise.reject(state_error(this, 'sendDTMF'));
+
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        const send = index => {
+            if (index >= digits.length)
+                return Promise.resolve();
+            if (this.terminated)
+                return Promise.reject(state_error(this, 'sendDTMF'));
+
+            const digit = digits[index];
+            if (digit == ',')
+                return wait(opt.pauseMs).then(() => send(index + 1));
+
+            // `chan.dtmf` with `targetid` is handled by the channel itself,
+            // which sends the tone out
+            const msg = {
+                $name: 'chan.dtmf',
+                targetid: this.chan,
+                text: digit.toUpperCase()
+            };
+            if (opt.method)
+                msg.method = opt.method;
+
+            return this.pbx.request(msg).then(reply => {
+                if (this.terminated)
+                    throw state_error(this, 'sendDTMF');
+                if (!reply.$processed)
+                    throw new Error(`"${this.chan}" failed to send DTMF "${digit}"`);
+
+                // no delay after the last digit or before a pause
+                const next = digits[index + 1];
+                if (next === undefined || next == ',')
+                    return send(index + 1);
+                return wait(opt.interDigitMs).then(() => send(index + 1));
+            });
+        };
+        return send(0);
+    }
+
     return Channel;
 })();
 
@@ -565,6 +1483,9 @@ var IVR = exports.IVR = (function () {
         // IVR sound queue
         this.queue = [];
 
+        // IVRs are local (dumb) channels
+        cfg = Object.assign({ direction: 'internal' }, cfg);
+
         // clear queue on hangup
         cfg.pbx.onChannelEvent(cfg.chan, 'onHangup', function () {
             this.queue.splice(0, this.queue.length);
@@ -684,6 +1605,34 @@ var IVR = exports.IVR = (function () {
         }
     }
 
+    //
+    // Stop playback and clear the sound queue. Silence is played instead and
+    // `queue-empty` is emitted.
+    //
+    IVR.prototype.clearQueue = function () {
+        if (!this.isLive('clearQueue') || this.queue.length == 0)
+            return;
+
+        this.queue.splice(0, this.queue.length);
+        this.pbx.chanTonegen(this.chan, 'silence');
+        this.emit('queue-empty');
+    }
+
+    //
+    // DTMF is sent by the remote party, i.e., received on the IVR's peer
+    //
+    IVR.prototype._dtmf_sources = function () {
+        return this.peer ? [this, this.peer] : [this];
+    }
+
+    IVR.prototype._is_playing = function () {
+        return this.queue.length > 0;
+    }
+
+    IVR.prototype._barge_in = function () {
+        this.clearQueue();
+    }
+
     //
     // http://docs.yate.ro/wiki/Tonegen
     //
@@ -715,3 +1664,310 @@ var IVR = exports.IVR = (function () {
 
     return IVR;
 })();
+
+exports.Conference = (function () {
+    //
+    // Conference room on Yate's conference module (`conf/`). Participants are
+    // existing channels moved into the room. Emits these events:
+    //      join    ({ channel, count, muted, listenOnly })
+    //      leave   ({ channel, count, reason })
+    //      end     (last participant left, room destroyed)
+    //      error
+    //
+    // Config:
+    // {
+    //     pbx:      PBX instance
+    //     room:     (optional) room name, created if it doesn't exist
+    //     maxusers: (optional) max number of participants
+    //     record:   (optional) file to record the mix into (absolute path)
+    // }
+    //
+    function Conference(cfg) {
+        assert(this instanceof Conference, 'please use the `new` operator');
+        assert(typeof cfg == 'object', 'invalid conference config');
+        assert(cfg.pbx, 'missing PBX instance');
+
+        // init base
+        EventEmitter.call(this);
+
+        // copy parameters
+        this.pbx = cfg.pbx;
+        this.room = cfg.room || makeId().replace(/[^\w.-]/g, '_');
+        this.maxusers = cfg.maxusers;
+        this.recordFile = cfg.record;
+        this._recording = null;     // file being recorded into
+
+        // participants: chan -> { channel, confid, muted, listenOnly, on_end }
+        // (<confid> is the participant's conference leg, its peer in the room)
+        this.participants = {};
+
+        // Peers detached from added channels. They are kept alive until added
+        // too, or terminated when the conference ends.
+        this._detached = {};
+
+        this.destroyed = false;
+
+        // pass errors on to pbx
+        this.on('error', function (err) {
+            this.pbx.emit('error', err);
+        });
+    }
+    util.inherits(Conference, EventEmitter);
+
+    //
+    // Yate target of the room
+    //
+    Conference.prototype.target = function () {
+        return `conf/${this.room}`;
+    }
+
+    //
+    // number of participants
+    //
+    Conference.prototype.getCount = function () {
+        return Object.keys(this.participants).length;
+    }
+
+    //
+    // array of participant channels
+    //
+    Conference.prototype.getParticipants = function () {
+        return Object.keys(this.participants).map(chan => this.participants[chan].channel);
+    }
+
+    //
+    // Move channel into the room: `call.execute` to the room is executed on
+    // the channel, so its current peer is detached (`peer` is cleared on
+    // both). Options:
+    // {
+    //     muted:       (optional) participant is muted (can be unmuted)
+    //     listenOnly:  (optional) participant can only listen
+    // }
+    //
+    // Returns a promise that resolves when the channel joined.
+    //
+    Conference.prototype.add = function (channel, opt) {
+        assert(channel instanceof Channel, 'invalid channel');
+        opt = opt || {};
+
+        if (this.destroyed)
+            return Promise.reject(new Error(`conference "${this.room}" is destroyed`));
+        if (['answered', 'on-hold'].indexOf(channel.state) == -1)
+            return Promise.reject(state_error(channel, 'conference.add'));
+        if (this.participants[channel.chan])
+            return Promise.resolve();
+
+        const muted = !!(opt.muted || opt.listenOnly);
+        const listenOnly = !!opt.listenOnly;
+
+        // keep current peer alive, unless already in the room
+        const peer = channel.peer;
+        let detached = null;
+        if (peer && !peer.terminated && !this.participants[peer.chan] && !this._detached[peer.chan]) {
+            detached = {
+                keep_alive: peer._keep_alive,
+                state: peer.state,
+                on_end: () => delete this._detached[peer.chan]
+            };
+            peer._set_keep_alive(true);
+            peer._set_state('on-hold');
+            this._detached[peer.chan] = peer;
+            peer.once('end', detached.on_end);
+        }
+
+        return this._execute(channel, muted).catch(err => {
+            // still connected to the peer: undo detaching it
+            if (detached && this._detached[peer.chan] === peer) {
+                delete this._detached[peer.chan];
+                peer.removeListener('end', detached.on_end);
+                peer._set_keep_alive(detached.keep_alive);
+                peer._set_state(detached.state);
+            }
+            throw err;
+        }).then(confid => {
+            // connected to the room now, not to the previous peer
+            if (channel.peer && channel.peer.peer === channel)
+                channel.peer.peer = null;
+            channel.peer = null;
+
+            if (this.destroyed || channel.terminated)
+                return;
+
+            // no longer detached
+            if (this._detached[channel.chan]) {
+                delete this._detached[channel.chan];
+                channel._set_keep_alive(false);
+                channel._set_state('answered');
+            }
+
+            const participant = { channel, confid, muted, listenOnly };
+            participant.on_end = () => this._leave(channel, 'hangup');
+            channel.once('end', participant.on_end);
+            this.participants[channel.chan] = participant;
+
+            this.emit('join', { channel, count: this.getCount(), muted, listenOnly });
+        });
+    }
+
+    //
+    // execute room target on channel, resolves with the id of its conference
+    // leg
+    //
+    Conference.prototype._execute = function (channel, muted) {
+        const msg = {
+            $name: 'chan.masquerade',
+            id: channel.chan,
+            message: 'call.execute',
+            callto: this.target(),
+            lonely: true,
+            mute: muted
+        };
+        if (this.maxusers)
+            msg.maxusers = this.maxusers;
+
+        // recording is started once per file
+        const record = (this.recordFile && this.recordFile != this._recording) ? this.recordFile : null;
+        if (record)
+            msg.record = 'wave/record/' + record;
+
+        return this.pbx.request(msg).then(reply => {
+            if (!reply.$processed)
+                throw new Error(`"${channel.chan}" failed to join "${this.room}": ${reply.error || 'not processed'}`);
+            if (record)
+                this._recording = record;
+            return reply.peerid;
+        });
+    }
+
+    //
+    // Change room/participant parameters with `chan.control` on the
+    // participant's conference leg (the participant stays in the room)
+    //
+    Conference.prototype._control = function (participant, params) {
+        const chan = participant.channel.chan;
+        if (!participant.confid)
+            return Promise.reject(new Error(`"${chan}" has no conference leg in "${this.room}"`));
+
+        const msg = Object.assign({ $name: 'chan.control', targetid: participant.confid }, params);
+        return this.pbx.request(msg).then(reply => {
+            if (!reply.$processed)
+                throw new Error(`control of "${chan}" in "${this.room}" failed: ${reply.error || 'not processed'}`);
+        });
+    }
+
+    //
+    // remove participant from the room (hang up with <cause>)
+    //
+    Conference.prototype.remove = function (channel, cause) {
+        if (!this.participants[channel.chan]) {
+            this.emit('error', new Error(`"${channel.chan}" is not in conference "${this.room}"`));
+            return;
+        }
+        this._leave(channel, 'removed');
+        channel.terminate(cause || { code: 200, text: 'Normal call clearing' });
+    }
+
+    //
+    // participant left: emit `leave`, destroy room if empty
+    //
+    Conference.prototype._leave = function (channel, reason) {
+        const participant = this.participants[channel.chan];
+        if (!participant)
+            return;
+
+        delete this.participants[channel.chan];
+        channel.removeListener('end', participant.on_end);
+
+        const count = this.getCount();
+        this.emit('leave', { channel, count, reason });
+        if (count == 0)
+            this.destroy();
+    }
+
+    //
+    // Mute/unmute participant (default mute). Listen-only participants can't
+    // be unmuted. Returns a promise.
+    //
+    Conference.prototype.mute = function (channel, muted) {
+        muted = (muted === undefined) ? true : !!muted;
+
+        const participant = this.participants[channel.chan];
+        if (!participant)
+            return Promise.reject(new Error(`"${channel.chan}" is not in conference "${this.room}"`));
+        if (participant.listenOnly && !muted)
+            return Promise.reject(new Error(`"${channel.chan}" is listen-only`));
+        if (participant.muted == muted)
+            return Promise.resolve();
+
+        return this._control(participant, { mute: muted }).then(() => {
+            participant.muted = muted;
+        });
+    }
+
+    //
+    // Dial out and add the called party when it answers. <destination> is as
+    // for makeCall(); options as for add(). Returns a promise that resolves
+    // with the participant channel when it joined, or is rejected if the
+    // called party could not be reached.
+    //
+    Conference.prototype.dial = function (destination, opt) {
+        if (this.destroyed)
+            return Promise.reject(new Error(`conference "${this.room}" is destroyed`));
+
+        return this.pbx.makeCall(destination).then(leg => {
+            return leg.waitForPeer().then(({ peer }) => {
+                // the dumb channel that placed the call is dropped after the
+                // called party is moved into the room
+                return this.add(peer, opt).then(() => {
+                    leg.terminate();
+                    return peer;
+                }, err => {
+                    leg.terminate();
+                    throw err;
+                });
+            });
+        });
+    }
+
+    //
+    // Record the mix into <filename> (absolute path). The recording target is
+    // passed to the room through a participant's conference leg.
+    //
+    Conference.prototype.record = function (filename) {
+        assert(filename && filename[0] == '/', 'invalid filename (not absolute)');
+        this.recordFile = filename;
+
+        const participant = this.participants[Object.keys(this.participants)[0]];
+        if (!participant || this._recording == filename)
+            return Promise.resolve();   // applied when the first one joins
+
+        return this._control(participant, { record: 'wave/record/' + filename }).then(() => {
+            this._recording = filename;
+        });
+    }
+
+    //
+    // Destroy the room: detached peers that never joined are terminated,
+    // remaining participants are hung up. Emits `end`.
+    //
+    Conference.prototype.destroy = function () {
+        if (this.destroyed)
+            return;
+        this.destroyed = true;
+
+        for (const chan in this._detached) {
+            const channel = this._detached[chan];
+            channel._set_keep_alive(false);
+            channel.terminate();
+        }
+        this._detached = {};
+
+        for (const channel of this.getParticipants())
+            this.remove(channel);
+
+        this.emit('end', { room: this.room });
+        this.removeAllListeners();
+    }
+
+    return Conference;
+})();
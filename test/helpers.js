@@ -0,0 +1,95 @@
+'use strict';
+
+//
+// Shared test setup: a PBX instance connected to a fake Yate engine
+//
+
+const assert = require('assert');
+const { once } = require('events');
+const { YateExt, FakeYate } = require('..');
+
+// single route used by most calls
+const gw = [{ host: 'gw' }];
+exports.gw = gw;
+
+//
+// wait until <cond> returns true (lines may take a while on loopback sockets)
+//
+async function until(cond, ms) {
+    const start = Date.now();
+    while (!cond()) {
+        assert.ok(Date.now() - start < (ms || 2000), 'timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+exports.until = until;
+
+//
+// resolve after <ms> milliseconds
+//
+exports.delay = function (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+//
+// messages with name <name> dispatched by the client
+//
+exports.sent = function (fake, name) {
+    return fake.messages.filter(msg => msg.$name == name);
+}
+
+//
+// Fake Yate engine and PBX instance (config <cfg>) connected to it. Live
+// channels are hung up and both are shut down after the test; PBX errors fail
+// the test unless listed in `errors` and cleared by the test.
+//
+exports.setup = async function (t, cfg) {
+    const fake = new FakeYate();
+    const port = await fake.listen(0);
+    const pbx = new YateExt(Object.assign({ port }, cfg));
+    const errors = [];
+    pbx.on('error', err => errors.push(err));
+
+    pbx.connect();
+    await once(pbx, 'connected');
+
+    t.after(async () => {
+        if (pbx.getState() != 'destroyed') {
+            for (const channel of pbx.getChannels())
+                channel.terminate();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            pbx.destroy();
+        }
+        await fake.close();
+        assert.deepStrictEqual(errors.map(err => err.message), []);
+    });
+    return { fake, pbx, errors };
+}
+
+//
+// Simulate incoming call (params as for FakeYate.incomingCall()). Resolves with
+// `{ call, caller }`, the fake call and the PBX channel still routing.
+//
+async function incoming_call(fake, pbx, params) {
+    const incoming = once(pbx, 'incoming-call');
+    const call = fake.incomingCall(Object.assign({ caller: '555', called: '123' }, params));
+    const [ caller ] = await incoming;
+    return { call, caller };
+}
+exports.incomingCall = incoming_call;
+
+//
+// incoming call routed to <dest> (default route `gw`), connected to the
+// outgoing leg of its first fork
+//
+exports.answeredCall = async function (fake, pbx, dest) {
+    const { call, caller } = await incoming_call(fake, pbx);
+    caller.routeToDestination(Object.assign({ routes: gw }, dest));
+    await call.reply;
+
+    const sip = fake.fork(call.id, 1);
+    await until(() => pbx.getChannel(sip));
+    fake.connected(sip, call.id);
+    await until(() => caller.getState() == 'answered');
+    return { caller, callee: caller.getPeer() };
+}
@@ -0,0 +1,669 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { once } = require('events');
+const { isIVR, Conference } = require('..');
+const { gw, until, sent, setup, incomingCall, answeredCall } = require('./helpers');
+
+test('makeCall routes a dumb channel and connects the answering fork', async t => {
+    const { fake, pbx } = await setup(t);
+
+    const ivr = await pbx.makeCall({ called: '300', routes: gw });
+    assert.ok(isIVR(ivr));
+    assert.strictEqual(ivr.direction, 'internal');
+    const [ execute ] = sent(fake, 'call.execute');
+    assert.strictEqual(execute.callto, 'dumb/');
+    assert.strictEqual(execute.target, '300');
+
+    const peer_event = once(ivr, 'peer');
+    const sip = fake.fork(ivr.chan, 1);
+    await until(() => pbx.getChannel(sip));
+    fake.connected(sip, ivr.chan);
+
+    const [ peer, info ] = await peer_event;
+    assert.strictEqual(peer.chan, sip);
+    assert.strictEqual(info.route.host, 'gw');
+    assert.strictEqual(ivr.getState(), 'answered');
+    assert.strictEqual(peer.getState(), 'answered');
+    assert.strictEqual(peer.getPeer(), ivr);
+});
+
+test('makeCall still supports callbacks', async t => {
+    const { pbx } = await setup(t);
+
+    const ivr = await new Promise((resolve, reject) => {
+        pbx.makeCall({ called: '300', routes: gw }, (err, ivr) => err ? reject(err) : resolve(ivr));
+    });
+    assert.ok(isIVR(ivr));
+});
+
+test('waitForPeer resolves with peer, route and connect time', async t => {
+    const { fake, pbx } = await setup(t);
+    const ivr = await pbx.makeCall({ called: '300', routes: gw });
+
+    const waiting = ivr.waitForPeer();
+    const sip = fake.fork(ivr.chan, 1);
+    await until(() => pbx.getChannel(sip));
+    fake.connected(sip, ivr.chan);
+
+    const { peer, route, time } = await waiting;
+    assert.strictEqual(peer.chan, sip);
+    assert.strictEqual(route.host, 'gw');
+    assert.strictEqual(time, ivr.connectTime);
+
+    // existing peer resolves right away, with the same info
+    const again = await ivr.waitForPeer();
+    assert.strictEqual(again.peer, peer);
+    assert.strictEqual(again.route, route);
+    assert.strictEqual(again.time, time);
+});
+
+test('waitForPeer is rejected with the cause when the channel ends first', async t => {
+    const { fake, pbx } = await setup(t);
+    const { call, caller } = await incomingCall(fake, pbx);
+    caller.routeToDestination({ routes: gw });
+    await call.reply;
+
+    const waiting = caller.waitForPeer();
+    const ended = caller.ended();
+    fake.hangup(call.id, 486);
+    await assert.rejects(waiting, err => err.cause.code == 486);
+    assert.deepStrictEqual(await ended, { code: 486, text: 'Busy Here' });
+
+    // already ended
+    await assert.rejects(caller.waitForPeer(), err => err.cause.code == 486);
+    assert.deepStrictEqual(await caller.ended(), { code: 486, text: 'Busy Here' });
+});
+
+test('routeToDestination replies with callfork routes', async t => {
+    const { fake, pbx } = await setup(t);
+
+    const { call, caller } = await incomingCall(fake, pbx);
+    assert.strictEqual(caller.getState(), 'routing');
+
+    caller.routeToDestination({ routes: [{ host: 'gw1' }, { host: 'gw2', called: '124' }] });
+    const reply = await call.reply;
+    assert.strictEqual(reply.$processed, true);
+    assert.strictEqual(reply.$retvalue, 'fork');
+    assert.strictEqual(reply['callto.1'], 'sip/sip:123@gw1');
+    assert.strictEqual(reply['callto.2'], '|');
+    assert.strictEqual(reply['callto.3'], 'sip/sip:124@gw2');
+    assert.strictEqual(caller.getState(), 'routed');
+});
+
+test('forks report ringing and early media before they answer', async t => {
+    const { fake, pbx } = await setup(t);
+
+    const { call, caller } = await incomingCall(fake, pbx);
+    const fork_event = once(caller, 'fork');
+    caller.routeToDestination({ routes: gw });
+    await call.reply;
+
+    const sip = fake.fork(call.id, 1);
+    const [ leg ] = await fork_event;
+    assert.strictEqual(leg.chan, sip);
+
+    const events = [];
+    leg.on('ringing', () => events.push('ringing'));
+    leg.on('progress', () => events.push('progress'));
+    fake.ringing(sip);
+    await until(() => leg.getState() == 'ringing');
+    fake.progress(sip, { earlymedia: 'true' });
+    await until(() => leg.getState() == 'early-media');
+    assert.deepStrictEqual(events, ['ringing', 'progress']);
+
+    fake.connected(sip, call.id);
+    await until(() => leg.getState() == 'answered');
+    assert.strictEqual(caller.getPeer(), leg);
+    assert.strictEqual(caller.getState(), 'answered');
+});
+
+test('hangup of the outgoing leg ends both channels', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+
+    const ended = Promise.all([ once(caller, 'end'), once(callee, 'end') ]);
+    fake.hangup(callee.chan, 486);
+    await ended;
+    assert.strictEqual(caller.getState(), 'ended');
+    assert.strictEqual(callee.getState(), 'ended');
+    assert.deepStrictEqual(pbx.getChannels(), []);
+});
+
+test('routeToIVR answers the channel and connects it to an IVR', async t => {
+    const { fake, pbx } = await setup(t);
+
+    const { call, caller } = await incomingCall(fake, pbx);
+    caller.routeToIVR();
+    const reply = await call.reply;
+    assert.strictEqual(reply.$retvalue, 'dumb/');
+
+    const dumb = fake.makeChannel('dumb');
+    fake.connected(call.id, dumb);
+    await until(() => caller.getState() == 'answered');
+
+    const ivr = caller.getPeer();
+    assert.ok(isIVR(ivr));
+    assert.strictEqual(ivr.chan, dumb);
+    assert.strictEqual(ivr.getPeer(), caller);
+    await until(() => sent(fake, 'call.answered').length == 1);
+    const [ answered ] = sent(fake, 'call.answered');
+    assert.strictEqual(answered.id, dumb);
+    assert.strictEqual(answered.targetid, call.id);
+});
+
+test('transfer executes the new call on the channel and releases its peer', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+
+    const transfer_event = once(caller, 'transfer');
+    await caller.transfer('200');
+    const [ info ] = await transfer_event;
+    assert.strictEqual(info.peer, callee);
+    assert.strictEqual(caller.getPeer(), undefined);
+
+    const [ masquerade ] = sent(fake, 'chan.masquerade');
+    assert.strictEqual(masquerade.id, caller.chan);
+    assert.strictEqual(masquerade.message, 'call.execute');
+    assert.strictEqual(masquerade['callto.1'], 'sip/sip:200@gw');
+
+    // new fork connects as the channel's peer
+    const sip = fake.fork(caller.chan, 1);
+    await until(() => pbx.getChannel(sip));
+    fake.connected(sip, caller.chan);
+    await until(() => caller.getPeer() && caller.getPeer().chan == sip);
+    await until(() => callee.getState() == 'ended');
+});
+
+test('transfer is rejected without routes or when Yate refuses it', async t => {
+    const { fake, pbx, errors } = await setup(t);
+    const { caller } = await answeredCall(fake, pbx);
+
+    await assert.rejects(caller.transfer({ called: '200' }), /invalid\/missing routes/);
+
+    fake.respond('chan.masquerade', () => ({ processed: false, params: { error: 'noroute' } }));
+    const failed = once(caller, 'transfer-failed');
+    await assert.rejects(caller.transfer('200'), /transfer failed: noroute/);
+    await failed;
+    assert.strictEqual(caller.getState(), 'answered');
+
+    // channel routed to an IVR has no routes to reuse
+    const { call, caller: other } = await incomingCall(fake, pbx, { caller: '556', called: '124' });
+    other.routeToIVR();
+    await call.reply;
+    fake.connected(call.id, fake.makeChannel('dumb'));
+    await until(() => other.getState() == 'answered');
+    await assert.rejects(other.transfer('200'), /has no routes for transfer/);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('consult parks the peer and completeTransfer connects it to the target', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+
+    const leg = await callee.consult({ called: '300', routes: gw });
+    await until(() => fake.installed['chan.disconnected']);
+    assert.strictEqual(caller.getState(), 'on-hold');
+
+    // parked channel survives losing its peer
+    const reply = await fake.sendMessage('chan.disconnected', { id: caller.chan });
+    assert.strictEqual(reply.$processed, true);
+
+    const consult_event = once(callee, 'consult');
+    const target = fake.fork(leg.chan, 1);
+    await until(() => pbx.getChannel(target));
+    fake.connected(target, leg.chan);
+    await consult_event;
+    assert.strictEqual(callee.getPeer().chan, target);
+
+    callee.completeTransfer();
+    await until(() => caller.getPeer() && caller.getPeer().chan == target);
+    assert.strictEqual(caller.getState(), 'answered');
+    await until(() => sent(fake, 'chan.connect').some(msg => msg.id == caller.chan));
+    const connect = sent(fake, 'chan.connect').find(msg => msg.id == caller.chan);
+    assert.strictEqual(connect.targetid, target);
+    await until(() => callee.getState() == 'ended');
+
+    // handler is removed with the last parked channel
+    await until(() => !fake.installed['chan.disconnected']);
+});
+
+test('cancelConsult reconnects the parked peer', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+
+    const leg = await callee.consult({ called: '300', routes: gw });
+    const target = fake.fork(leg.chan, 1);
+    await until(() => pbx.getChannel(target));
+    fake.connected(target, leg.chan);
+    await until(() => callee.getPeer() && callee.getPeer().chan == target);
+
+    const consult_end = once(callee, 'consult-end');
+    callee.cancelConsult();
+    const [ info ] = await consult_end;
+    assert.strictEqual(info.reason, 'cancelled');
+    await until(() => caller.getState() == 'answered');
+    assert.strictEqual(callee.getPeer(), caller);
+});
+
+test('hold parks the peer on music and resume reconnects it', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+
+    await callee.hold({ source: '/snd/moh.wav' });
+    assert.strictEqual(callee.getState(), 'on-hold');
+    assert.strictEqual(caller.getState(), 'on-hold');
+    const dumb = fake.peers[caller.chan];
+    assert.ok(dumb.startsWith('dumb/'));
+    await until(() => sent(fake, 'chan.masquerade').some(msg => msg.message == 'chan.attach'));
+    const attach = sent(fake, 'chan.masquerade').find(msg => msg.message == 'chan.attach');
+    assert.strictEqual(attach.id, dumb);
+    assert.strictEqual(attach.source, 'wave/play//snd/moh.wav');
+
+    const resume_event = once(callee, 'resume');
+    callee.resume();
+    await resume_event;
+    await until(() => caller.getState() == 'answered');
+    assert.strictEqual(callee.getState(), 'answered');
+    assert.strictEqual(caller.getPeer(), callee);
+    assert.ok(callee.getHoldTime() >= 0);
+});
+
+test('sendDTMF sends digits toward the channel with pauses', async t => {
+    const { fake, pbx } = await setup(t);
+    const { callee } = await answeredCall(fake, pbx);
+
+    await callee.sendDTMF('12,#', { method: 'info', interDigitMs: 10, pauseMs: 20 });
+    const digits = sent(fake, 'chan.dtmf').map(msg => [msg.targetid, msg.text, msg.method]);
+    assert.deepStrictEqual(digits, [
+        [callee.chan, '1', 'info'],
+        [callee.chan, '2', 'info'],
+        [callee.chan, '#', 'info']
+    ]);
+
+    const pending = callee.sendDTMF('1,,,2', { pauseMs: 50 });
+    fake.hangup(callee.chan);
+    await assert.rejects(pending, /not allowed on channel/);
+});
+
+test('channels are registered while live and counted per direction and carrier', async t => {
+    const { fake, pbx } = await setup(t);
+    pbx.setCarriers([{ host: 'gw.example.com', username: 'alice', password: 'x', name: 'Acme' }]);
+    const [ account ] = Object.keys(pbx.carriers);
+
+    const { call, caller } = await incomingCall(fake, pbx, { billid: 'b1', in_line: 'bob:pw:bob:dom@10.0.0.9:5060' });
+    caller.routeToDestination({ routes: [{ host: 'gw.example.com', line: account }] });
+    await call.reply;
+    const sip = fake.fork(call.id, 1);
+    await until(() => pbx.getChannel(sip));
+    fake.connected(sip, call.id);
+    await until(() => caller.getState() == 'answered');
+    const callee = pbx.getChannel(sip);
+    const ivr = await pbx.makeCall({ called: '300', routes: gw });
+
+    assert.strictEqual(pbx.getChannel(call.id), caller);
+    assert.strictEqual(pbx.getChannel('sip/none'), undefined);
+    assert.deepStrictEqual(pbx.findByBillId('b1'), [caller, callee]);
+    assert.deepStrictEqual(pbx.getChannels(), [caller, callee, ivr]);
+    assert.deepStrictEqual(pbx.getChannelCounts(), {
+        total: 3, incoming: 1, outgoing: 1, internal: 1,
+        carriers: { 'bob@10.0.0.9:5060': 1, Acme: 1 }
+    });
+
+    const snapshot = JSON.parse(JSON.stringify(caller));
+    assert.deepStrictEqual(snapshot, {
+        chan: call.id, peer: sip, direction: 'incoming', billid: 'b1',
+        caller: '555', called: '123', state: 'answered',
+        createTime: caller.createTime, connectTime: caller.connectTime,
+        holdTime: 0, route: { host: 'gw.example.com' }
+    });
+    assert.deepStrictEqual(callee.toJSON().route, { host: 'gw.example.com' });
+
+    // removed on end
+    fake.hangup(call.id);
+    await until(() => pbx.getChannels().length == 1);
+    assert.deepStrictEqual(pbx.findByBillId('b1'), []);
+    assert.strictEqual(pbx.getChannelCounts().total, 1);
+});
+
+test('channel state changes are reported and invalid operations rejected', async t => {
+    const { fake, pbx, errors } = await setup(t);
+    const { call, caller } = await incomingCall(fake, pbx);
+    const states = [];
+    caller.on('state', info => {
+        assert.ok(info.time > 0);
+        states.push(`${info.old}->${info.new}`);
+    });
+
+    caller.routeToIVR();
+    await call.reply;
+    fake.connected(call.id, fake.makeChannel('dumb'));
+    await until(() => caller.getState() == 'answered');
+
+    // not routing anymore
+    caller.routeToIVR();
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].op, 'routeToIVR');
+    assert.strictEqual(errors[0].state, 'answered');
+    errors.splice(0);
+
+    const ended = caller.ended();
+    fake.hangup(call.id);
+    await ended;
+    assert.deepStrictEqual(states, ['routing->routed', 'routed->answered', 'answered->ended']);
+    await assert.rejects(caller.hold(), err => err.op == 'hold' && err.state == 'ended');
+});
+
+test('connectToChannel answers both channels', async t => {
+    const { fake, pbx } = await setup(t);
+    const { call, caller } = await incomingCall(fake, pbx);
+    const ivr = await pbx.makeCall({ called: '300', routes: gw });
+
+    caller.connectToChannel(ivr);
+    await until(() => sent(fake, 'chan.connect').length == 1);
+    const [ connect ] = sent(fake, 'chan.connect');
+    assert.strictEqual(connect.id, call.id);
+    assert.strictEqual(connect.targetid, ivr.chan);
+    for (const channel of [caller, ivr]) {
+        assert.strictEqual(channel.getState(), 'answered');
+        assert.ok(channel.connectTime > 0);
+    }
+    assert.strictEqual(caller.getPeer(), ivr);
+
+    // now it can be held
+    await caller.hold();
+    assert.strictEqual(ivr.getState(), 'on-hold');
+});
+
+test('ringing and progress carry status, early media flag and route', async t => {
+    const { fake, pbx } = await setup(t);
+    const ivr = await pbx.makeCall({ called: '300', routes: [{ host: 'gw1' }] });
+    const fork_event = once(ivr, 'fork');
+    const sip = fake.fork(ivr.chan, 1);
+    const [ leg, { time: fork_time } ] = await fork_event;
+
+    const ringing = once(leg, 'ringing');
+    fake.ringing(sip);
+    const [ info ] = await ringing;
+    assert.ok(info.time >= fork_time);
+    assert.strictEqual(info.status, 180);
+    assert.strictEqual(info.earlyMedia, false);
+    assert.strictEqual(info.route.host, 'gw1');
+
+    const progress = once(leg, 'progress');
+    fake.progress(sip, { earlymedia: 'true', cause_sip: 181 });
+    assert.strictEqual((await progress)[0].status, 181);
+    assert.strictEqual(leg.getState(), 'early-media');
+
+    // late ringing after answer is ignored
+    fake.connected(sip, ivr.chan);
+    await until(() => leg.getState() == 'answered');
+    const late = [];
+    leg.on('ringing', () => late.push('ringing'));
+    fake.ringing(sip);
+    fake.dtmf(sip, '1');
+    await once(leg, 'dtmf');
+    assert.deepStrictEqual(late, []);
+    assert.strictEqual(leg.getState(), 'answered');
+});
+
+test('reject and redirect answer call.route with a SIP response', async t => {
+    const { fake, pbx, errors } = await setup(t);
+
+    // reply params for incoming call rejected by <fn>, and its end cause
+    async function rejected(fn) {
+        const { call, caller } = await incomingCall(fake, pbx);
+        const ended = caller.ended();
+        fn(caller);
+        const reply = await call.reply;
+        assert.strictEqual(reply.$processed, true);
+        assert.strictEqual(reply.$retvalue, '-');
+        assert.strictEqual(caller.getState(), 'ended');
+        return { reply, cause: await ended };
+    }
+
+    let { reply, cause } = await rejected(caller => caller.reject(486));
+    assert.strictEqual(reply.error, '486');
+    assert.strictEqual(reply.reason, 'Busy Here');
+    assert.deepStrictEqual(cause, { code: 486, text: 'Busy Here' });
+
+    ({ reply } = await rejected(caller => caller.reject('Forbidden')));
+    assert.strictEqual(reply.error, '403');
+    assert.strictEqual(reply.reason, 'Forbidden');
+
+    ({ reply } = await rejected(caller => caller.reject(503, { reason: 'Maintenance', headers: { 'Retry-After': 120 } })));
+    assert.strictEqual(reply.error, '503');
+    assert.strictEqual(reply.reason, 'Maintenance');
+    assert.strictEqual(reply['osip_Retry-After'], '120');
+
+    ({ reply } = await rejected(caller => caller.redirect('sip:alice@10.0.0.5')));
+    assert.strictEqual(reply.error, '302');
+    assert.strictEqual(reply.reason, 'Moved Temporarily');
+    assert.strictEqual(reply.osip_Contact, '<sip:alice@10.0.0.5>');
+
+    // unknown response: 480 with its own text
+    ({ reply, cause } = await rejected(caller => caller.reject('Go Away')));
+    assert.strictEqual(reply.error, '480');
+    assert.strictEqual(reply.reason, 'Temporarily Unavailable');
+    assert.deepStrictEqual(cause, { code: 480, text: 'Temporarily Unavailable' });
+    assert.deepStrictEqual(errors.splice(0).map(err => err.message),
+                           ['invalid SIP response "Go Away", rejecting with 480']);
+});
+
+test('transfer with refer asks the remote party to call the URI', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+
+    const released = callee.ended();
+    await caller.transfer('sip:200@pbx.example.com', { refer: true, cause: { code: 200, text: 'Referred' } });
+    const [ transfer ] = sent(fake, 'chan.transfer');
+    assert.strictEqual(transfer.id, caller.chan);
+    assert.strictEqual(transfer.to, 'sip:200@pbx.example.com');
+    await released;
+    await until(() => sent(fake, 'call.drop').some(msg => msg.id == callee.chan));
+    const drop = sent(fake, 'call.drop').find(msg => msg.id == callee.chan);
+    assert.strictEqual(drop.reason, 'Referred');
+    assert.strictEqual(caller.getPeer(), undefined);
+    assert.strictEqual(caller.getState(), 'answered');
+});
+
+test('consultation ends when the consulted party is not reached or hangs up', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+
+    // not reached: dumb leg ends before a fork answers
+    let leg = await callee.consult({ called: '300', routes: gw });
+    let consult_end = once(callee, 'consult-end');
+    fake.hangup(leg.chan, 486);
+    assert.strictEqual((await consult_end)[0].reason, 'failed');
+    await until(() => caller.getState() == 'answered');
+    assert.strictEqual(callee.getPeer(), caller);
+    await until(() => !fake.installed['chan.disconnected']);
+
+    // consulted party hangs up after answering
+    leg = await callee.consult({ called: '301', routes: gw });
+    const target = fake.fork(leg.chan, 1);
+    await until(() => pbx.getChannel(target));
+    fake.connected(target, leg.chan);
+    await once(callee, 'consult');
+    consult_end = once(callee, 'consult-end');
+    fake.hangup(target);
+    assert.strictEqual((await consult_end)[0].reason, 'hangup');
+    await until(() => caller.getState() == 'answered');
+    assert.strictEqual(callee.getPeer(), caller);
+});
+
+test('completeTransfer carries the remaining call time over', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+    caller.setTimeout(60000);
+
+    const leg = await callee.consult({ called: '300', routes: gw });
+    const target = fake.fork(leg.chan, 1);
+    await until(() => pbx.getChannel(target));
+    fake.connected(target, leg.chan);
+    await once(callee, 'consult');
+
+    const transfer_event = once(callee, 'transfer');
+    callee.completeTransfer();
+    const [ info ] = await transfer_event;
+    assert.strictEqual(info.peer, caller);
+    assert.strictEqual(info.target.chan, target);
+    assert.ok(Math.abs(info.target.timeoutAt - caller.timeoutAt) < 50);
+});
+
+test('transfer of a held call clears the hold without ending the channel', async t => {
+    const { fake, pbx } = await setup(t);
+
+    // held by the transferring channel, then by its peer
+    for (const holder of ['caller', 'callee']) {
+        const legs = await answeredCall(fake, pbx);
+        const { caller, callee } = legs;
+        await legs[holder].hold();
+        const held = (holder == 'caller') ? callee : caller;
+        const dumb = fake.peers[held.chan];
+
+        await caller.transfer('200');
+        assert.strictEqual(caller.getState(), 'answered');
+        await until(() => callee.getState() == 'ended');
+        await until(() => sent(fake, 'call.drop').some(msg => msg.id == dumb));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.ok(!caller.terminated);
+        assert.ok(!sent(fake, 'call.drop').some(msg => msg.id == caller.chan));
+        assert.ok(caller.getHoldTime() >= 0);
+
+        // new fork connects as the channel's peer
+        const sip = fake.fork(caller.chan, 1);
+        await until(() => pbx.getChannel(sip));
+        fake.connected(sip, caller.chan);
+        await until(() => caller.getPeer() && caller.getPeer().chan == sip);
+    }
+    await until(() => !fake.installed['chan.disconnected']);
+});
+
+test('conference joins channels, controls their legs and ends when empty', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+    const conf = new Conference({ pbx, room: 'r1', record: '/tmp/r1.wav' });
+    const events = [];
+    conf.on('join', ({ channel, count }) => events.push(['join', channel.chan, count]));
+    conf.on('leave', ({ channel, count, reason }) => events.push(['leave', channel.chan, count, reason]));
+
+    // callee is parked until it joins too
+    await conf.add(caller);
+    assert.strictEqual(callee.getState(), 'on-hold');
+    assert.strictEqual(caller.getPeer(), null);
+    const [ join ] = sent(fake, 'chan.masquerade').filter(msg => msg.callto == 'conf/r1');
+    assert.strictEqual(join.id, caller.chan);
+    assert.strictEqual(join.record, 'wave/record//tmp/r1.wav');
+    await conf.add(callee, { listenOnly: true });
+    assert.strictEqual(callee.getState(), 'answered');
+    assert.strictEqual(conf.getCount(), 2);
+
+    await conf.mute(caller);
+    await conf.record('/tmp/r2.wav');
+    const controls = sent(fake, 'chan.control');
+    assert.deepStrictEqual(controls.map(msg => [msg.targetid, msg.mute, msg.record]), [
+        [fake.peers[caller.chan], 'true', undefined],
+        [fake.peers[caller.chan], undefined, 'wave/record//tmp/r2.wav']
+    ]);
+    await assert.rejects(conf.mute(callee, false), /is listen-only/);
+
+    const end = once(conf, 'end');
+    conf.remove(callee);
+    fake.hangup(caller.chan);
+    await end;
+    assert.deepStrictEqual(events, [
+        ['join', caller.chan, 1],
+        ['join', callee.chan, 2],
+        ['leave', callee.chan, 1, 'removed'],
+        ['leave', caller.chan, 0, 'hangup']
+    ]);
+    assert.ok(conf.destroyed);
+    await until(() => !fake.installed['chan.disconnected']);
+});
+
+test('conference add failure releases the parked peer', async t => {
+    const { fake, pbx } = await setup(t);
+    const { caller, callee } = await answeredCall(fake, pbx);
+    const conf = new Conference({ pbx, room: 'r2' });
+
+    fake.respond('chan.masquerade', () => ({ processed: false, params: { error: 'failure' } }));
+    await assert.rejects(conf.add(caller), /failed to join "r2": failure/);
+    assert.strictEqual(callee.getState(), 'answered');
+    assert.strictEqual(caller.getPeer(), callee);
+    assert.strictEqual(conf.getCount(), 0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(!fake.installed['chan.disconnected']);
+
+    // the peer doesn't belong to the room, destroying it leaves the call up
+    conf.destroy();
+    assert.strictEqual(callee.getState(), 'answered');
+    assert.strictEqual(caller.getState(), 'answered');
+});
+
+test('collectDigits stops on max digits, terminator, timeout or hangup', async t => {
+    const { fake, pbx } = await setup(t);
+    const { callee } = await answeredCall(fake, pbx);
+
+    let collecting = callee.collectDigits({ max: 4 });
+    await assert.rejects(callee.collectDigits(), /is already collecting digits/);
+    fake.dtmf(callee.chan, '12');
+    fake.dtmf(callee.chan, '345');
+    assert.deepStrictEqual(await collecting, { digits: '1234', reason: 'max', valid: true });
+
+    collecting = callee.collectDigits({ min: 3, terminators: '*#' });
+    fake.dtmf(callee.chan, '12*');
+    assert.deepStrictEqual(await collecting, { digits: '12', reason: 'terminator', valid: false });
+
+    collecting = callee.collectDigits({ firstDigitTimeout: 20 });
+    assert.deepStrictEqual(await collecting, { digits: '', reason: 'timeout', valid: false });
+
+    collecting = callee.collectDigits({ interDigitTimeout: 20, validate: digits => digits == '9' });
+    fake.dtmf(callee.chan, '9');
+    assert.deepStrictEqual(await collecting, { digits: '9', reason: 'timeout', valid: true });
+
+    collecting = callee.collectDigits({ validate: () => { throw new Error('bad pin'); } });
+    fake.dtmf(callee.chan, '1#');
+    await assert.rejects(collecting, /bad pin/);
+
+    collecting = callee.collectDigits();
+    const dtmf = once(callee, 'dtmf');
+    fake.dtmf(callee.chan, '5');
+    await dtmf;
+    fake.hangup(callee.chan);
+    assert.deepStrictEqual(await collecting, { digits: '5', reason: 'hangup', valid: true });
+    assert.deepStrictEqual(await callee.collectDigits(), { digits: '', reason: 'hangup', valid: false });
+});
+
+test('collectDigits on an IVR waits for the prompt and barges in', async t => {
+    const { fake, pbx } = await setup(t);
+    const ivr = await pbx.makeCall({ called: '300', routes: gw });
+    const sip = fake.fork(ivr.chan, 1);
+    await until(() => pbx.getChannel(sip));
+    fake.connected(sip, ivr.chan);
+    await until(() => ivr.getState() == 'answered');
+
+    ivr.enqueue({ path: '/snd/prompt.wav' });
+    const collecting = ivr.collectDigits({ max: 2, firstDigitTimeout: 20 });
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    // first digit timer has not started yet, digits come from the peer
+    const queue_empty = once(ivr, 'queue-empty');
+    fake.dtmf(sip, '42');
+    await queue_empty;
+    assert.strictEqual(ivr.queue.length, 0);
+    assert.deepStrictEqual(await collecting, { digits: '42', reason: 'max', valid: true });
+});
+
+test('sendDTMF accepts letter digits and flash in either case', async t => {
+    const { fake, pbx } = await setup(t);
+    const { callee } = await answeredCall(fake, pbx);
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    await callee.sendDTMF('aDfF', { interDigitMs: 0 });
+    assert.strictEqual(warn.mock.callCount(), 0);
+    assert.deepStrictEqual(sent(fake, 'chan.dtmf').map(msg => msg.text), ['A', 'D', 'F', 'F']);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const Protocol = require('../lib/Protocol');
+
+//
+// encode message, then decode it like a received line
+//
+function round_trip(msg) {
+    const line = Protocol.encode_message(Object.assign({ $type: '%%>message', $time: 1 }, msg));
+    const bytes = Buffer.isBuffer(line) ? line : Buffer.from(line, 'utf8');
+    return Protocol.decode_message(Protocol.split_line(bytes));
+}
+
+test('escape and unescape special characters', () => {
+    const value = 'a:b%c\n\r\x01z';
+    const escaped = Protocol.escape(value);
+    assert.strictEqual(escaped, 'a%zb%%c%J%M%Az');
+    assert.strictEqual(Protocol.unescape(escaped), value);
+    assert.strictEqual(Protocol.unescape(Buffer.from(escaped)), value);
+});
+
+test('UTF-8 values round-trip as strings', () => {
+    const msg = round_trip({ $name: 'call.route', callername: 'Jānis Bērziņš', caller: 'Дмитрий:1' });
+    assert.strictEqual(msg.callername, 'Jānis Bērziņš');
+    assert.strictEqual(msg.caller, 'Дмитрий:1');
+});
+
+test('binary values round-trip exactly as Buffers', () => {
+    const binary = Buffer.from([0xE2, 0x41, 0x3A, 0x25, 0x00, 0xFF]);
+    const line = Protocol.encode_message({ $name: 'test', $type: '%%>message', data: binary, text: 'ok' });
+    assert.ok(Buffer.isBuffer(line));
+
+    const msg = round_trip({ $name: 'test', data: binary, text: 'ok', $retvalue: Buffer.from([0x80]) });
+    assert.ok(Buffer.isBuffer(msg.data));
+    assert.deepStrictEqual([...msg.data], [0xE2, 0x41, 0x3A, 0x25, 0x00, 0xFF]);
+    assert.deepStrictEqual([...msg.$retvalue], [0x80]);
+    assert.strictEqual(msg.text, 'ok');
+});
+
+test('unescape encoding forces result type', () => {
+    const field = Buffer.from([0x68, 0x69]);
+    assert.ok(Buffer.isBuffer(Protocol.unescape(field, 'buffer')));
+    assert.strictEqual(Protocol.unescape(Buffer.from([0xE2, 0x41]), 'latin1'), 'âA');
+});
+
+test('header is decoded without parameters', () => {
+    const fields = Protocol.split_line(Buffer.from('%%<message:id1:true:chan.dtmf::id=sip/1:text=5'));
+    const msg = Protocol.decode_message_header(fields);
+    assert.deepStrictEqual(msg, {
+        $type: '%%<message', $id: 'id1', $name: 'chan.dtmf', $retvalue: '', $processed: true
+    });
+    assert.strictEqual(Protocol.decode_message_params(msg, fields).text, '5');
+});
+
+test('line decoder joins lines split across chunks', () => {
+    const lines = [];
+    const decoder = new Protocol.LineDecoder(line => lines.push(Buffer.from(line)));
+    const data = Buffer.from('%%>watch:a\n%%>watch:Ā\n', 'utf8');
+    for (let i = 0; i < data.length; i += 3)
+        decoder.write(data.subarray(i, i + 3));
+    assert.deepStrictEqual(lines.map(line => line.toString()), ['%%>watch:a', '%%>watch:Ā']);
+});
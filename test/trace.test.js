@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { YateExt, TraceRecorder, TraceReplayer } = require('..');
+const { parseTrace } = require('../lib/Trace');
+const { setup, incomingCall } = require('./helpers');
+
+// accepts user 100 with password "secret"
+function authenticator(digest, callback) {
+    callback(null, digest.username == '100' && digest.password == 'secret');
+}
+
+//
+// Record a session against FakeYate: authentication of user 100 and an
+// incoming call routed to an IVR. Resolves with the parsed trace entries.
+//
+async function record_session(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yate-trace-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'session.trace');
+
+    const { fake, pbx } = await setup(t, { authenticator });
+    const recorder = new TraceRecorder(pbx, { file });
+
+    const auth = await fake.userAuth({ username: '100', password: 'secret' });
+    assert.strictEqual(auth.$processed, true);
+
+    const { call, caller } = await incomingCall(fake, pbx);
+    caller.routeToIVR();
+    await call.reply;
+    await recorder.stop();
+
+    const text = fs.readFileSync(file, 'utf8');
+    assert.ok(!text.includes('secret'));
+    return parseTrace(text);
+}
+
+//
+// PBX replaying <entries> with the app logic used by record_session()
+//
+function replay(t, entries, cfg) {
+    const replayer = new TraceReplayer(Object.assign({ entries, speed: 0, settle: 50 }, cfg));
+    const pbx = new YateExt({ transport: replayer.transport, authenticator });
+    pbx.on('incoming-call', caller => caller.routeToIVR());
+    t.after(() => pbx.destroy());
+
+    const result = replayer.run(pbx);
+    pbx.connect();
+    return { replayer, result };
+}
+
+test('recorder writes timestamped, direction-tagged lines with credentials redacted', async t => {
+    const entries = await record_session(t);
+
+    for (const entry of entries) {
+        assert.ok(entry.time > 0);
+        assert.ok(entry.dir == '<' || entry.dir == '>');
+    }
+    const request = entries.find(entry => entry.dir == '<' && entry.line.includes(':user.auth:'));
+    assert.ok(request.line.includes(':password=***'));
+    assert.ok(request.line.includes(':username=100'));
+
+    const reply = entries.find(entry => entry.dir == '>' && entry.line.startsWith('%%<message:') &&
+                                        entry.line.includes(':user.auth:'));
+    assert.strictEqual(reply.line.split(':')[2], 'true');
+    assert.ok(entries.some(entry => entry.dir == '>' && entry.line.includes(':call.route:dumb/')));
+});
+
+test('replayer reproduces the recorded session and reports differing lines', async t => {
+    const entries = await record_session(t);
+
+    // redacted password supplied again: same lines sent
+    const good = replay(t, entries, { values: { password: 'secret' } });
+    const { sent, mismatches } = await good.result;
+    assert.deepStrictEqual(mismatches, []);
+    assert.strictEqual(sent.length, entries.filter(entry => entry.dir == '>' &&
+                                                          entry.line.includes('message:')).length);
+
+    // without it authentication fails, so the reply differs
+    const bad = replay(t, entries);
+    const reported = [];
+    bad.replayer.on('mismatch', info => reported.push(info));
+    const result = await bad.result;
+    assert.strictEqual(result.mismatches.length, 1);
+    assert.deepStrictEqual(reported, result.mismatches);
+    assert.ok(result.mismatches[0].expected.includes(':true:user.auth:'));
+    assert.ok(result.mismatches[0].actual.includes(':false:user.auth:'));
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { YateExt, FakeYate } = require('..');
+const { until } = require('./helpers');
+
+test('unix transport connects to a socket path', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yate-'));
+    const fake = new FakeYate();
+    const socket_path = await fake.listen(path.join(dir, 'extmodule.sock'));
+    const pbx = new YateExt({ transport: 'unix', path: socket_path, reconnectInterval: 20 });
+    t.after(async () => {
+        pbx.destroy();
+        await fake.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const connect = once(pbx, 'connect');
+    pbx.connect();
+    assert.deepStrictEqual((await connect)[0], { transport: 'unix', path: socket_path });
+    const [ info ] = await once(pbx, 'connected');
+    assert.deepStrictEqual(info, { transport: 'unix', path: socket_path });
+    assert.strictEqual(await pbx.getLocal('engine.nodename'), 'fake');
+
+    // reconnects like TCP
+    fake.disconnect();
+    await once(pbx, 'connected');
+});
+
+test('stdio transport talks to Yate over piped streams', async t => {
+    const input = new PassThrough();       // Yate -> script
+    const output = new PassThrough();      // script -> Yate
+    const pbx = new YateExt({ transport: 'stdio', input, output });
+    t.after(() => pbx.destroy());
+
+    // answer install and watch commands like Yate
+    const lines = [];
+    output.on('data', data => {
+        for (const line of String(data).split('\n').filter(line => line)) {
+            lines.push(line);
+            const [ type, ...args ] = line.split(':');
+            if (type == '%%>install')
+                input.write(`%%<install:${args[0]}:${args[1]}:true\n`);
+            else if (type == '%%>watch')
+                input.write(`%%<watch:${args[0]}:true\n`);
+        }
+    });
+
+    pbx.connect();
+    const [ info ] = await once(pbx, 'connected');
+    assert.deepStrictEqual(info, { transport: 'stdio' });
+    assert.ok(!lines.includes('%%>connect:global'));
+    assert.ok(lines.includes('%%>install:10:call.route'));
+
+    // messages in both directions
+    pbx.dispatch({ $name: 'test.out', $id: 'out1', value: 'a:b' });
+    await until(() => lines.some(line => line.startsWith('%%>message:out1:')));
+    assert.ok(lines.find(line => line.startsWith('%%>message:out1:')).endsWith(':test.out::value=a%zb'));
+
+    pbx.handle('test.in', msg => ({ processed: true, retvalue: msg.value }));
+    await until(() => lines.includes('%%>install:100:test.in'));
+    input.write('%%>message:in1:1:test.in::value=x\n');
+    await until(() => lines.includes('%%<message:in1:true:test.in:x'));
+
+    // Yate unloads the script: no reconnect
+    const disconnected = once(pbx, 'disconnected');
+    input.end();
+    await disconnected;
+    assert.strictEqual(pbx.getState(), 'idle');
+});
@@ -0,0 +1,315 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { once } = require('events');
+const { gw, until, sent, setup, incomingCall, answeredCall } = require('./helpers');
+
+test('request resolves with the matching reply', async t => {
+    const { fake, pbx } = await setup(t);
+    fake.respond('test.echo', msg => ({
+        processed: msg.value != 'no',
+        retvalue: `echo ${msg.value}`,
+        params: { extra: msg.value }
+    }));
+
+    const replies = await Promise.all(['a', 'b', 'no'].map(value => {
+        return pbx.request({ $name: 'test.echo', value });
+    }));
+    assert.deepStrictEqual(replies.map(reply => [reply.$processed, reply.$retvalue, reply.extra]), [
+        [true, 'echo a', 'a'],
+        [true, 'echo b', 'b'],
+        [false, 'echo no', 'no']
+    ]);
+    assert.deepStrictEqual(pbx.getRefs().pending_requests, {});
+});
+
+test('request is rejected on timeout and disconnect', async t => {
+    const { fake, pbx, errors } = await setup(t, { reconnectInterval: 0 });
+
+    // Yate stops answering
+    fake._socket.pause();
+    await assert.rejects(pbx.request({ $name: 'test.slow' }, { timeout: 50 }), /"test.slow" request timeout/);
+
+    const pending = pbx.request({ $name: 'test.lost' });
+    fake.disconnect();
+    await assert.rejects(pending, /disconnected from Yate/);
+    await assert.rejects(pbx.request({ $name: 'test.offline' }), /not connected/);
+    assert.deepStrictEqual(pbx.getRefs().pending_requests, {});
+    errors.splice(0);
+});
+
+test('setlocal values from config are applied during connect', async t => {
+    const { fake, pbx } = await setup(t, { setlocal: { timeout: 10000, reenter: true } });
+    assert.strictEqual(pbx.getState(), 'ready');
+    assert.strictEqual(fake.locals.timeout, '10000');
+    assert.strictEqual(fake.locals.reenter, 'true');
+});
+
+test('setLocal and getLocal resolve with the value reported by Yate', async t => {
+    const { pbx } = await setup(t);
+
+    assert.strictEqual(await pbx.getLocal('engine.version'), '6.4.0');
+    assert.strictEqual(await pbx.setLocal('bufsize', 4096), '4096');
+    const values = await Promise.all([pbx.setLocal('id', 'a'), pbx.setLocal('id', 'b'), pbx.getLocal('id')]);
+    assert.deepStrictEqual(values, ['a', 'b', 'b']);
+
+    await assert.rejects(pbx.getLocal('config.missing.key'), /setlocal "config.missing.key" failed/);
+    assert.deepStrictEqual(pbx.getRefs().pending_setlocal, {});
+});
+
+test('handle installs user handlers that reply to messages', async t => {
+    const { fake, pbx, errors } = await setup(t, { reconnectInterval: 20 });
+
+    pbx.handle('call.preroute', { priority: 50, filter: { param: 'module', value: 'sip' } }, msg => {
+        return { processed: true, retvalue: 'rewritten', params: { called: msg.called + '0' } };
+    });
+    pbx.handle('test.async', msg => Promise.resolve(msg.ok == 'true'));
+    pbx.handle('test.throws', () => { throw new Error('handler failed'); });
+    await until(() => fake.installed['test.throws']);
+    assert.deepStrictEqual(fake.installed['call.preroute'], {
+        priority: 50,
+        filter: { param: 'module', value: 'sip' }
+    });
+    assert.strictEqual(fake.installed['test.async'].priority, 100);
+
+    const reply = await fake.sendMessage('call.preroute', { module: 'sip', called: '12' });
+    assert.strictEqual(reply.$processed, true);
+    assert.strictEqual(reply.$retvalue, 'rewritten');
+    assert.strictEqual(reply.called, '120');
+    assert.strictEqual((await fake.sendMessage('test.async', { ok: 'true' })).$processed, true);
+    assert.strictEqual((await fake.sendMessage('test.async', { ok: 'false' })).$processed, false);
+    assert.strictEqual((await fake.sendMessage('test.throws')).$processed, false);
+    assert.deepStrictEqual(errors.splice(0).map(err => err.message), ['handler failed']);
+
+    // re-installed after reconnect
+    fake.disconnect();
+    await once(pbx, 'connected');
+    assert.deepStrictEqual(Object.keys(fake.installed).filter(name => name.startsWith('test.')),
+                           ['test.async', 'test.throws']);
+
+    // removed
+    pbx.unhandle('test.async');
+    await until(() => !fake.installed['test.async']);
+    assert.strictEqual((await fake.sendMessage('test.async', { ok: 'true' })).$processed, false);
+});
+
+test('middleware runs in order before handlers and can short-circuit', async t => {
+    const { fake, pbx, errors } = await setup(t);
+    const trace = [];
+
+    pbx.use(async (msg, next) => {
+        trace.push(`outer ${msg.$name}`);
+        await next();
+        trace.push('outer done');
+    });
+    pbx.use((msg, next) => {
+        if (msg.blocked == 'true')
+            return { processed: false, params: { error: 'blocked' } };
+        msg.tagged = 'yes';
+        return next();
+    });
+    pbx.use((msg, next) => {
+        if (msg.fail == 'true')
+            throw new Error('middleware failed');
+        return next();
+    });
+    pbx.handle('test.mw', msg => {
+        trace.push(`handler ${msg.tagged}`);
+        return true;
+    });
+    await until(() => fake.installed['test.mw']);
+
+    assert.strictEqual((await fake.sendMessage('test.mw')).$processed, true);
+    await until(() => trace.length == 3);
+    assert.deepStrictEqual(trace.splice(0), ['outer test.mw', 'handler yes', 'outer done']);
+
+    const blocked = await fake.sendMessage('test.mw', { blocked: 'true' });
+    assert.strictEqual(blocked.$processed, false);
+    assert.strictEqual(blocked.error, 'blocked');
+    await until(() => trace.length == 2);
+    assert.deepStrictEqual(trace.splice(0), ['outer test.mw', 'outer done']);
+
+    assert.strictEqual((await fake.sendMessage('test.mw', { fail: 'true' })).$processed, false);
+    assert.deepStrictEqual(errors.splice(0).map(err => err.message), ['middleware failed']);
+
+    // built-in handlers run behind middleware too
+    const routed = once(pbx, 'incoming-call');
+    const call = fake.incomingCall({ caller: '555', called: '123' });
+    const [ channel ] = await routed;
+    assert.strictEqual(channel.call_route.tagged, 'yes');
+    channel.reject(404);
+    assert.strictEqual((await call.reply).$processed, true);
+});
+
+test('messages queued while disconnected are sent in order after resync', async t => {
+    const { fake, pbx } = await setup(t, { reconnectInterval: 20, sendQueueSize: 10 });
+    const { caller, callee } = await answeredCall(fake, pbx);
+    const discarded = [];
+    pbx.on('queue-discard', line => discarded.push(line));
+
+    fake.disconnect();
+    await until(() => pbx.getState() == 'backoff');
+    delete fake.channels[caller.chan];      // gone while disconnected
+    fake.messages.splice(0);
+
+    pbx.dispatch({ $name: 'test.lost', id: caller.chan });
+    pbx.chanDrop('dumb/9');                 // untracked channel, e.g. a hold leg
+    pbx.dispatch({ $name: 'test.queued', id: callee.chan });
+    assert.strictEqual(pbx.getRefs().send_queue.length, 3);
+
+    // sent right after reconnect, before resync completes
+    pbx.once('connected', () => pbx.dispatch({ $name: 'test.later' }));
+    const resync = once(pbx, 'resync');
+    await once(pbx, 'connected');
+    const [ info ] = await resync;
+    assert.deepStrictEqual(info, { alive: [callee.chan], lost: [caller.chan] });
+    await until(() => sent(fake, 'test.later').length == 1);
+
+    const names = fake.messages
+        .filter(msg => msg.$name != 'chan.locate')
+        .map(msg => `${msg.$name} ${msg.id || ''}`.trim());
+    assert.deepStrictEqual(names, [
+        'call.drop dumb/9',
+        `test.queued ${callee.chan}`,
+        'test.later'
+    ]);
+    assert.strictEqual(discarded.length, 1);
+    assert.ok(discarded[0].includes('test.lost'));
+    assert.strictEqual(caller.getState(), 'ended');
+    assert.deepStrictEqual(pbx.getRefs().send_queue, []);
+});
+
+test('send queue is limited in size and age', async t => {
+    const { fake, pbx } = await setup(t, { reconnectInterval: 0, sendQueueSize: 2, sendQueueTTL: 50 });
+    const events = [];
+    for (const event of ['queue-line', 'queue-overflow', 'queue-expire', 'suppress-line'])
+        pbx.on(event, () => events.push(event));
+
+    fake.disconnect();
+    await until(() => pbx.getState() == 'idle');
+    pbx.dispatch({ $name: 'test.1' });
+    pbx.dispatch({ $name: 'test.2' });
+    pbx.dispatch({ $name: 'test.3' });
+    pbx.reply({ $type: '%%>message', $id: 'x', $name: 'test.reply' }, true);
+    assert.deepStrictEqual(events.splice(0), ['queue-line', 'queue-line', 'queue-overflow', 'suppress-line']);
+
+    await until(() => events.length == 2);
+    assert.deepStrictEqual(events, ['queue-expire', 'queue-expire']);
+    assert.deepStrictEqual(pbx.getRefs().send_queue, []);
+});
+
+test('reconnect backs off exponentially until attempts are exhausted', async t => {
+    const { fake, pbx, errors } = await setup(t, {
+        backoff: { initial: 10, multiplier: 2, max: 40, maxAttempts: 4 }
+    });
+    const backoff = [];
+    pbx.on('state-change', info => {
+        if (info.to == 'backoff')
+            backoff.push([info.attempt, info.delay]);
+    });
+
+    await fake.close();
+    await until(() => pbx.getState() == 'idle');
+    assert.deepStrictEqual(backoff, [[1, 10], [2, 20], [3, 40], [4, 40]]);
+    assert.strictEqual(errors.pop().message, 'reconnect attempts exhausted');
+    assert.ok(errors.splice(0).every(err => err.code == 'ECONNREFUSED'));
+});
+
+test('connection states are reported until ready again', async t => {
+    const { fake, pbx } = await setup(t, { reconnectInterval: 20 });
+    const states = [];
+    pbx.on('state-change', info => states.push(info.to));
+    pbx.on('disconnected', () => states.push(`disconnected in ${pbx.getState()}`));
+
+    for (const round of [1, 2]) {
+        fake.disconnect();
+        await once(pbx, 'connected');
+        assert.deepStrictEqual(states.splice(0), [
+            'backoff', 'disconnected in backoff', 'connecting', 'handshaking', 'ready'
+        ], `round ${round}`);
+    }
+
+    pbx.destroy();
+    assert.deepStrictEqual(states, ['destroyed', 'disconnected in destroyed']);
+});
+
+test('heartbeat measures latency and drops an unresponsive connection', async t => {
+    const { fake, pbx, errors } = await setup(t, {
+        reconnectInterval: 20,
+        heartbeat: { interval: 30, maxMissed: 2, message: 'test.ping' }
+    });
+
+    const [ info ] = await once(pbx, 'heartbeat');
+    assert.ok(info.latency >= 0);
+    assert.strictEqual(pbx.getLatency(), info.latency);
+    assert.ok(sent(fake, 'test.ping').length >= 1);
+
+    // Yate stops answering
+    const missed = [];
+    pbx.on('heartbeat-missed', info => missed.push(info.missed));
+    fake._socket.pause();
+    await new Promise(resolve => pbx.once('disconnected', resolve));   // not rejected on 'error'
+    assert.deepStrictEqual(missed, [1, 2]);
+    assert.deepStrictEqual(errors.splice(0).map(err => err.message), ['2 heartbeats missed, dropping connection']);
+
+    // heartbeat starts again after reconnect
+    await once(pbx, 'connected');
+    await once(pbx, 'heartbeat');
+});
+
+test('channels lost while disconnected end with 503 after resync', async t => {
+    const { fake, pbx } = await setup(t, { reconnectInterval: 20 });
+    const { caller, callee } = await answeredCall(fake, pbx);
+    const survivor = await answeredCall(fake, pbx);
+    const { call, caller: ringing } = await incomingCall(fake, pbx);
+    ringing.routeToDestination({ routes: gw });
+    await call.reply;
+    const ended = ringing.ended();
+
+    fake.disconnect();
+    await until(() => pbx.getState() == 'backoff');
+    for (const chan of [caller.chan, callee.chan, ringing.chan])
+        delete fake.channels[chan];
+
+    const [ info ] = await once(pbx, 'resync');
+    assert.deepStrictEqual(info.lost.sort(), [caller.chan, callee.chan, ringing.chan].sort());
+    assert.deepStrictEqual(info.alive.sort(), [survivor.caller.chan, survivor.callee.chan].sort());
+
+    // answered calls end with 200 (see getDisconnectCause())
+    assert.deepStrictEqual(await ended, { code: 503, text: 'Service Unavailable' });
+    assert.deepStrictEqual(caller.saved_cause, { code: 503, text: 'Service Unavailable' });
+    assert.strictEqual(callee.getState(), 'ended');
+
+    assert.deepStrictEqual(pbx.getChannels().map(channel => channel.chan).sort(),
+                           [survivor.caller.chan, survivor.callee.chan].sort());
+    assert.strictEqual(survivor.caller.getState(), 'answered');
+});
+
+test('command, status and setDebug use engine messages', async t => {
+    const { fake, pbx } = await setup(t);
+
+    fake.respond('engine.command', msg => ({ processed: msg.line == 'sip show', retvalue: 'sip: 2 calls\r\n' }));
+    assert.strictEqual(await pbx.command('sip show'), 'sip: 2 calls\r\n');
+    await assert.rejects(pbx.command('bogus'), /command "bogus" failed/);
+
+    fake.respond('engine.status', msg => ({
+        processed: !msg.module,
+        retvalue: (!msg.module || msg.module == 'sip') ?
+            'name=sip,type=varchans,format=Status|Address;routed=2,chans=1;sip/1=answered|10.0.0.1:5060\r\n' : ''
+    }));
+    assert.deepStrictEqual(await pbx.status('sip'), {
+        name: 'sip', type: 'varchans', format: 'Status|Address',
+        status: { routed: 2, chans: 1 },
+        details: { 'sip/1': { Status: 'answered', Address: '10.0.0.1:5060' } }
+    });
+    assert.strictEqual((await pbx.status()).length, 1);
+    await assert.rejects(pbx.status('h323'), /no status for module "h323"/);
+
+    fake.respond('engine.debug', msg => ({ processed: msg.module == 'sip', retvalue: 'ok' }));
+    assert.strictEqual(await pbx.setDebug('sip', 9), 'ok');
+    await pbx.setDebug('sip', false);
+    assert.deepStrictEqual(sent(fake, 'engine.debug').map(msg => [msg.module, msg.line]),
+                           [['sip', 'level 9'], ['sip', 'off']]);
+    await assert.rejects(pbx.setDebug('h323', true), /debug "h323" failed/);
+});